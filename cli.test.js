@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { run, EXIT_CODES } from './cli.js';
+import { startFixtureServer } from './test/fixture-server.js';
+
+const createIO = () => {
+  const io = { out: '', err: '' };
+  io.stdout = { write: (text) => { io.out += text; } };
+  io.stderr = { write: (text) => { io.err += text; } };
+  return io;
+};
+
+describe('CLI', () => {
+  let server;
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await mkdtemp(join(tmpdir(), 'web-content-llm-cli-'));
+    server = await startFixtureServer({
+      '/article': '<html><body><main><h1>Article</h1><p>Some article text for the CLI.</p></main></body></html>',
+      '/empty': '<html><body></body></html>',
+      '/other': '<html><body><main><h2>Other</h2><p>Another page of content.</p></main></body></html>'
+    });
+    return async () => {
+      await server.close();
+      await rm(outputDir, { recursive: true, force: true });
+    };
+  });
+
+  it('should print help and version', async () => {
+    const io = createIO();
+    expect(await run(['--help'], io)).toBe(EXIT_CODES.ok);
+    expect(io.out).toContain('Usage: web-content-llm <command>');
+
+    const versionIO = createIO();
+    expect(await run(['-v'], versionIO)).toBe(EXIT_CODES.ok);
+    expect(versionIO.out).toMatch(/^\d+\.\d+\.\d+\n$/);
+  });
+
+  it('should reject unknown commands and flags with the usage exit code', async () => {
+    expect(await run(['frobnicate'], createIO())).toBe(EXIT_CODES.usage);
+    expect(await run(['export', 'https://example.com', '--bogus'], createIO())).toBe(EXIT_CODES.usage);
+    expect(await run(['export', 'https://example.com', '-f', 'docx'], createIO())).toBe(EXIT_CODES.usage);
+    expect(await run(['export', 'https://example.com', '-f', 'pdf'], createIO())).toBe(EXIT_CODES.usage);
+  });
+
+  it('should export to stdout for piping', async () => {
+    const io = createIO();
+    const code = await run(['export', `${server.url}/article`, '--format', 'txt'], io);
+
+    expect(code).toBe(EXIT_CODES.ok);
+    expect(io.out).toContain('Some article text for the CLI.');
+    expect(io.out).toContain('Source: ');
+  });
+
+  it('should export to a file with mapped options', async () => {
+    const io = createIO();
+    const outputPath = join(outputDir, 'out.md');
+    const code = await run(['export', `${server.url}/article`, '-o', outputPath, '--footer-text', 'Made by CLI', '--frontmatter'], io);
+
+    expect(code).toBe(EXIT_CODES.ok);
+    const markdown = await readFile(outputPath, 'utf-8');
+    expect(markdown).toMatch(/^---\ntitle: Article\n/);
+    expect(markdown).toContain('Made by CLI');
+    expect(io.out).toBe('');
+    expect(io.err).toContain('✓ Markdown created');
+  });
+
+  it('should read HTML from stdin and local files', async () => {
+    const io = createIO();
+    io.stdin = Readable.from(['<main><h1>Piped</h1><p>See <a href="/more">more</a>.</p></main>']);
+    const code = await run(['export', '-', '--base-url', 'https://example.com/blog/'], io);
+
+    expect(code).toBe(EXIT_CODES.ok);
+    expect(io.out).toContain('See [more](https://example.com/more).');
+
+    const inputPath = join(outputDir, 'saved.html');
+    await writeFile(inputPath, '<main><h1>Saved</h1><p>A page saved to disk.</p></main>');
+    const fileIO = createIO();
+    expect(await run(['export', inputPath, '-f', 'txt'], fileIO)).toBe(EXIT_CODES.ok);
+    expect(fileIO.out).toContain('A page saved to disk.');
+
+    expect(await run(['export', outputDir], createIO())).toBe(EXIT_CODES.usage);
+  });
+
+  it('should stream exports and stop after --max-sections', async () => {
+    const io = createIO();
+    expect(await run(['export', `${server.url}/article`, '--max-sections', '1', '-f', 'txt'], io)).toBe(EXIT_CODES.ok);
+    expect(io.out).toContain('Article\n=======');
+    expect(io.out).not.toContain('Some article text');
+
+    const outputPath = join(outputDir, 'article.md');
+    expect(await run(['export', `${server.url}/article`, '--stream', '-o', outputPath], createIO())).toBe(EXIT_CODES.ok);
+    expect(await readFile(outputPath, 'utf-8')).toContain('# Article\n\nSome article text for the CLI.');
+
+    expect(await run(['export', `${server.url}/article`, '--stream', '-f', 'json'], createIO())).toBe(EXIT_CODES.usage);
+    expect(await run(['export', `${server.url}/empty`, '--stream'], createIO())).toBe(EXIT_CODES.extraction);
+  });
+
+  it('should map fetch flags onto request headers', async () => {
+    const code = await run([
+      'export', `${server.url}/article`, '--user-agent', 'DocsBot/1.0',
+      '--header', 'X-Trace: abc', '--bearer', 'token-123', '--retries', '0'
+    ], createIO());
+
+    expect(code).toBe(EXIT_CODES.ok);
+    expect(server.requests[0].headers).toMatchObject({
+      'user-agent': 'DocsBot/1.0',
+      'x-trace': 'abc',
+      authorization: 'Bearer token-123'
+    });
+    expect(await run(['export', `${server.url}/article`, '--header', 'broken'], createIO())).toBe(EXIT_CODES.usage);
+  });
+
+  it('should load site rules from --rules files', async () => {
+    const rulesPath = join(outputDir, 'rules.json');
+    await writeFile(rulesPath, JSON.stringify({ rules: [{ name: 'fixtures', match: '127.0.0.1', remove: ['h1'] }] }));
+    const io = createIO();
+    const code = await run(['export', `${server.url}/article`, '-f', 'json', '--rules', rulesPath], io);
+
+    expect(code).toBe(EXIT_CODES.ok);
+    const { metadata, sections } = JSON.parse(io.out);
+    expect(metadata.extraction.rules).toEqual(['fixtures']);
+    expect(sections).toEqual([{ type: 'paragraph', content: 'Some article text for the CLI.' }]);
+  });
+
+  it('should diff a snapshot against a fresh export and update it', async () => {
+    const snapshot = join(outputDir, 'article.json');
+    expect(await run(['export', `${server.url}/article`, '-o', snapshot], createIO())).toBe(EXIT_CODES.ok);
+
+    const io = createIO();
+    expect(await run(['diff', snapshot, `${server.url}/other`, '--save', snapshot], io)).toBe(EXIT_CODES.ok);
+    expect(io.out).toContain('- **Sections:** 2 added, 2 removed, 0 modified, 0 unchanged');
+    expect(io.out).toContain('## Removed\n\n> # Article');
+    expect(io.out).toContain('## Added (Other)\n\n> Another page of content.');
+
+    const jsonPath = join(outputDir, 'diff.json');
+    expect(await run(['diff', snapshot, `${server.url}/other`, '-o', jsonPath], createIO())).toBe(EXIT_CODES.ok);
+    expect(JSON.parse(await readFile(jsonPath, 'utf-8'))).toMatchObject({ changed: false, similarity: 1 });
+
+    expect(await run(['diff', snapshot], createIO())).toBe(EXIT_CODES.usage);
+  });
+
+  it('should distinguish network and extraction failures', async () => {
+    expect(await run(['export', `${server.url}/missing`], createIO())).toBe(EXIT_CODES.network);
+    expect(await run(['export', 'http://127.0.0.1:1/unreachable'], createIO())).toBe(EXIT_CODES.network);
+    expect(await run(['export', `${server.url}/empty`], createIO())).toBe(EXIT_CODES.extraction);
+  });
+
+  it('should export every URL of a batch file and keep going after failures', async () => {
+    const listPath = join(outputDir, 'urls.txt');
+    await writeFile(listPath, `# docs\n${server.url}/article\n\n${server.url}/empty\n${server.url}/other\n`);
+
+    const io = createIO();
+    const code = await run(['batch', listPath, '--out-dir', outputDir, '--concurrency', '2', '-q'], io);
+
+    expect(code).toBe(EXIT_CODES.extraction);
+    expect(io.err).toContain(`✗ ${server.url}/empty`);
+    expect(await readFile(join(outputDir, '127.0.0.1', 'article.md'), 'utf-8')).toContain('# Article');
+    expect(await readFile(join(outputDir, '127.0.0.1', 'other.md'), 'utf-8')).toContain('## Other');
+  });
+
+  it('should collect a batch into one EPUB book', async () => {
+    const listPath = join(outputDir, 'urls.txt');
+    await writeFile(listPath, `${server.url}/article\n${server.url}/other\n`);
+    const bookPath = join(outputDir, 'book.epub');
+
+    const io = createIO();
+    expect(await run(['batch', listPath, '-o', bookPath, '--title', 'Reading List'], io)).toBe(EXIT_CODES.ok);
+    const book = await readFile(bookPath);
+    expect(book.subarray(30, 38).toString()).toBe('mimetype');
+    expect(io.err).toContain('✓ EPUB created');
+
+    expect(await run(['batch', listPath, '-f', 'epub'], createIO())).toBe(EXIT_CODES.usage);
+    expect(await run(['export', `${server.url}/article`, '-f', 'epub'], createIO())).toBe(EXIT_CODES.usage);
+  });
+});
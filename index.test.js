@@ -1,17 +1,98 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as cheerio from 'cheerio';
+import { mkdtemp, mkdir, readFile, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, relative, sep } from 'path';
+import { pathToFileURL } from 'url';
+import { inflateRawSync } from 'zlib';
+import { startFixtureServer } from './test/fixture-server.js';
 import {
+  exportContent,
   escapeHtml,
   formatDate,
   extractTitle,
   extractMetadata,
   extractSections,
+  locateMainContent,
+  removeUnwantedElements,
   generateMarkdown,
   generatePlainText,
+  generateJSON,
+  generateJSONL,
+  collectLinks,
+  SCHEMA_VERSION,
+  validateContent,
   generateHTML,
-  renderSection
+  renderSection,
+  chunkContent,
+  estimateTokens,
+  crawlSite,
+  normalizeUrl,
+  parseRobotsTxt,
+  isAllowedByRobots,
+  scrapeContent,
+  extractFromHTML,
+  createCookieJar,
+  detectEncoding,
+  registerRules,
+  loadRules,
+  diffContent,
+  generateDiffMarkdown,
+  generateDiffJSON,
+  saveSnapshot,
+  loadSnapshot,
+  exportMany,
+  exportEPUB,
+  generateEPUB,
+  inlineImages,
+  streamContent,
+  renderContentStream,
+  createBoilerplateModel,
+  removeBoilerplate
 } from './index.js';
 
+// Minimal ZIP reader for EPUB output: entry name -> Buffer, in file order
+const readZip = (buffer) => {
+  const entries = new Map();
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const start = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(start, start + size);
+    entries.set(buffer.toString('utf-8', offset + 30, offset + 30 + nameLength), method === 8 ? inflateRawSync(data) : data);
+    offset = start + size;
+  }
+  return entries;
+};
+
+// Headless Chromium is replaced by a fake page serving `browser.html`
+const browser = vi.hoisted(() => ({ html: '', calls: [], launches: 0 }));
+
+vi.mock('puppeteer', () => ({
+  default: {
+    launch: async () => {
+      browser.launches++;
+      return {
+        newPage: async () => ({
+          goto: async (url, options) => browser.calls.push(['goto', url, options.waitUntil]),
+          url: () => browser.calls.findLast(call => call[0] === 'goto')[1],
+          waitForSelector: async (selector) => browser.calls.push(['waitForSelector', selector]),
+          evaluate: async () => browser.calls.push(['scroll']),
+          waitForNetworkIdle: async () => {},
+          content: async () => browser.html,
+          setContent: async () => {},
+          pdf: async () => Buffer.from('%PDF-1.4 fake'),
+          close: async () => {}
+        }),
+        on: () => {},
+        close: async () => browser.calls.push(['close'])
+      };
+    }
+  }
+}));
+
 describe('Utility Functions', () => {
   describe('escapeHtml', () => {
     it('should escape HTML special characters', () => {
@@ -28,6 +109,10 @@ describe('Utility Functions', () => {
       expect(formatted).toMatch(/15\.\s*Januar\s*2025/);
     });
 
+    it('should format date in the given locale', () => {
+      expect(formatDate(new Date('2025-01-15'), 'en')).toBe('January 15, 2025');
+    });
+
     it('should use current date if no date provided', () => {
       const formatted = formatDate();
       expect(formatted).toBeTruthy();
@@ -74,6 +159,65 @@ describe('Content Extraction', () => {
       const metadata = extractMetadata($, 'https://example.com');
 
       expect(metadata.description).toBe('');
+      expect(Object.keys(metadata)).toEqual(['description', 'url', 'scrapedAt']);
+    });
+
+    it('should extract Open Graph, Twitter, canonical and document metadata', () => {
+      const html = `
+        <html lang="en-US"><head>
+          <link rel="canonical" href="/articles/post">
+          <meta property="og:title" content="OG Title">
+          <meta property="og:description" content="OG description">
+          <meta property="og:image" content="/cover.png">
+          <meta property="og:site_name" content="Example Blog">
+          <meta name="twitter:card" content="summary_large_image">
+          <meta name="author" content="Jane Doe">
+          <meta name="keywords" content="scraping, llm ,markdown">
+          <meta property="article:published_time" content="2025-01-15T08:00:00Z">
+        </head><body></body></html>
+      `;
+      const $ = cheerio.load(html);
+      const metadata = extractMetadata($, 'https://example.com/post?ref=home');
+
+      expect(metadata).toMatchObject({
+        description: 'OG description',
+        url: 'https://example.com/post?ref=home',
+        canonicalUrl: 'https://example.com/articles/post',
+        language: 'en-US',
+        author: 'Jane Doe',
+        publishedAt: '2025-01-15T08:00:00Z',
+        keywords: ['scraping', 'llm', 'markdown'],
+        siteName: 'Example Blog',
+        image: 'https://example.com/cover.png',
+        openGraph: {
+          title: 'OG Title',
+          description: 'OG description',
+          image: '/cover.png',
+          site_name: 'Example Blog'
+        },
+        twitter: { card: 'summary_large_image' }
+      });
+    });
+
+    it('should extract supported JSON-LD types', () => {
+      const html = `
+        <script type="application/ld+json">
+          {"@context": "https://schema.org", "@graph": [
+            {"@type": "BlogPosting", "headline": "Post", "author": [{"@type": "Person", "name": "Ann"}, {"name": "Bob"}],
+             "datePublished": "2024-05-01", "dateModified": "2024-06-01"},
+            {"@type": "BreadcrumbList"}
+          ]}
+        </script>
+        <script type="application/ld+json">{"@type": "FAQPage", "mainEntity": []}</script>
+        <script type="application/ld+json">{ invalid json</script>
+      `;
+      const $ = cheerio.load(html);
+      const metadata = extractMetadata($, 'https://example.com');
+
+      expect(metadata.jsonLd.map(item => item['@type'])).toEqual(['BlogPosting', 'FAQPage']);
+      expect(metadata.author).toBe('Ann, Bob');
+      expect(metadata.publishedAt).toBe('2024-05-01');
+      expect(metadata.modifiedAt).toBe('2024-06-01');
     });
   });
 
@@ -151,6 +295,317 @@ describe('Content Extraction', () => {
       expect(pCount).toBe(1);
     });
 
+    it('should drop near-duplicates that differ in counts, dates and teasers', () => {
+      const html = `
+        <main>
+          <h2>Comments (12)</h2>
+          <p>Posted on March 3, 2024 by the editorial team of the magazine.</p>
+          <p>The new release brings faster builds, a redesigned plugin API and many fixes for… Read more</p>
+          <h2>Comments (14)</h2>
+          <p>Posted on March 4, 2024 by the editorial team of the magazine.</p>
+          <p>The new release brings faster builds, a redesigned plugin API and many fixes for older platforms.</p>
+        </main>
+      `;
+      const sections = extractSections(cheerio.load(html));
+
+      expect(sections).toEqual([
+        { type: 'h2', content: 'Comments (12)' },
+        { type: 'paragraph', content: 'Posted on March 3, 2024 by the editorial team of the magazine.' },
+        { type: 'paragraph', content: 'The new release brings faster builds, a redesigned plugin API and many fixes for older platforms.' },
+        { type: 'h2', content: 'Comments (14)' }
+      ]);
+    });
+
+    it('should keep distinct date headings and short texts that differ in dates', () => {
+      const html = `
+        <main>
+          <h2>March 3, 2024</h2>
+          <p>Posted at 10:30</p>
+          <h2>April 9, 2024</h2>
+          <p>Posted at 11:45</p>
+        </main>
+      `;
+
+      expect(extractSections(cheerio.load(html)).map(s => s.content))
+        .toEqual(['March 3, 2024', 'Posted at 10:30', 'April 9, 2024', 'Posted at 11:45']);
+    });
+
+    it('should keep similar but distinct sections and honour dedupe: exact', () => {
+      const html = `
+        <main>
+          <h2>Step 1</h2>
+          <pre><code>npm install web-content-llm@1</code></pre>
+          <h2>Step 2</h2>
+          <pre><code>npm install web-content-llm@2</code></pre>
+          <p>Updated 2024-01-02 by the documentation team.</p>
+          <p>Updated 2024-03-04 by the documentation team.</p>
+        </main>
+      `;
+
+      expect(extractSections(cheerio.load(html)).map(s => s.type))
+        .toEqual(['h2', 'code', 'h2', 'code', 'paragraph']);
+      expect(extractSections(cheerio.load(html), { dedupe: 'exact' }).map(s => s.type))
+        .toEqual(['h2', 'code', 'h2', 'code', 'paragraph', 'paragraph']);
+    });
+
+    it('should find near-duplicates on large pages without comparing every pair', () => {
+      const paragraphs = Array.from({ length: 8000 }, (_, i) =>
+        `<p>Entry ${i} of the archive covers topic ${i * 7} in a few words.</p>`);
+      const html = `
+        <main>
+          ${paragraphs.join('')}
+          <p>Entry 0 of the archive covers topic 0 in a few words!</p>
+          <p>Entry 7999 of the archive covers topic 55993 in a few words, updated.</p>
+        </main>
+      `;
+      const sections = extractSections(cheerio.load(html));
+
+      expect(sections).toHaveLength(8000);
+      expect(sections[0].content).toBe('Entry 0 of the archive covers topic 0 in a few words.');
+      expect(sections[7999].content).toBe('Entry 7999 of the archive covers topic 55993 in a few words, updated.');
+    });
+
+    it('should extract tables with header, caption and rows', () => {
+      const html = `
+        <main>
+          <table>
+            <caption>Pricing</caption>
+            <thead><tr><th>Plan</th><th>Price</th></tr></thead>
+            <tbody>
+              <tr><td>Basic</td><td>$5</td></tr>
+              <tr><td>Pro</td><td>$10</td></tr>
+            </tbody>
+          </table>
+        </main>
+      `;
+      const $ = cheerio.load(html);
+      const sections = extractSections($);
+
+      expect(sections).toContainEqual({
+        type: 'table',
+        caption: 'Pricing',
+        header: [[{ content: 'Plan' }, { content: 'Price' }]],
+        rows: [
+          [{ content: 'Basic' }, { content: '$5' }],
+          [{ content: 'Pro' }, { content: '$10' }]
+        ]
+      });
+    });
+
+    it('should keep colspan and rowspan on table cells', () => {
+      const html = `
+        <main><table>
+          <tr><th colspan="2">Specs</th></tr>
+          <tr><td rowspan="2">Size</td><td>10cm</td></tr>
+          <tr><td>20cm</td></tr>
+        </table></main>
+      `;
+      const $ = cheerio.load(html);
+      const table = extractSections($).find(s => s.type === 'table');
+
+      expect(table.header).toEqual([[{ content: 'Specs', colspan: 2 }]]);
+      expect(table.rows[0][0]).toEqual({ content: 'Size', rowspan: 2 });
+    });
+
+    it('should flatten single-column layout tables', () => {
+      const html = `
+        <main><table>
+          <tr><td><p>First paragraph inside layout</p></td></tr>
+          <tr><td>Bare cell text</td></tr>
+        </table></main>
+      `;
+      const $ = cheerio.load(html);
+      const sections = extractSections($);
+
+      expect(sections.find(s => s.type === 'table')).toBeUndefined();
+      expect(sections).toContainEqual({ type: 'paragraph', content: 'First paragraph inside layout' });
+      expect(sections).toContainEqual({ type: 'paragraph', content: 'Bare cell text' });
+    });
+
+    it('should not extract paragraphs nested in data tables separately', () => {
+      const html = '<main><table><tr><th>A</th></tr><tr><td><p>Cell paragraph</p></td></tr></table></main>';
+      const $ = cheerio.load(html);
+      const sections = extractSections($);
+
+      expect(sections.filter(s => s.type === 'paragraph')).toHaveLength(0);
+    });
+
+    it('should keep inline formatting and resolve relative links', () => {
+      const html = '<main><p>Read <a href="/docs">the <b>docs</b></a> or run <code>npm test</code>.<br>Done<sup>1</sup></p></main>';
+      const $ = cheerio.load(html);
+      const [paragraph] = extractSections($, { baseUrl: 'https://example.com/guide/' });
+
+      expect(paragraph.content).toBe('Read the docs or run npm test.Done1');
+      expect(paragraph.inline).toEqual([
+        { type: 'text', text: 'Read ' },
+        {
+          type: 'link',
+          href: 'https://example.com/docs',
+          children: [{ type: 'text', text: 'the ' }, { type: 'strong', children: [{ type: 'text', text: 'docs' }] }]
+        },
+        { type: 'text', text: ' or run ' },
+        { type: 'code', text: 'npm test' },
+        { type: 'text', text: '.' },
+        { type: 'break' },
+        { type: 'text', text: 'Done' },
+        { type: 'sup', children: [{ type: 'text', text: '1' }] }
+      ]);
+    });
+
+    it('should keep inline formatting in list items', () => {
+      const html = '<main><ul><li>Plain item</li><li>See <a href="https://x.dev">x.dev</a></li></ul></main>';
+      const $ = cheerio.load(html);
+      const [list] = extractSections($);
+
+      expect(list.items[0]).toBe('Plain item');
+      expect(list.items[1]).toEqual({
+        content: 'See x.dev',
+        inline: [
+          { type: 'text', text: 'See ' },
+          { type: 'link', href: 'https://x.dev/', children: [{ type: 'text', text: 'x.dev' }] }
+        ]
+      });
+    });
+
+    it('should drop javascript and empty anchor links', () => {
+      const html = '<main><p>Click <a href="javascript:void(0)">here</a> or <a href="#">there</a></p></main>';
+      const $ = cheerio.load(html);
+      const [paragraph] = extractSections($);
+
+      expect(paragraph).toEqual({ type: 'paragraph', content: 'Click here or there' });
+    });
+
+    it('should extract code blocks with exact whitespace and language', () => {
+      const html = '<main><pre><code class="language-js">function a() {\n  return  1;\n}\n</code></pre></main>';
+      const $ = cheerio.load(html);
+      const sections = extractSections($);
+
+      expect(sections).toContainEqual({
+        type: 'code',
+        language: 'js',
+        content: 'function a() {\n  return  1;\n}'
+      });
+    });
+
+    it('should detect language from lang- and highlight- wrapper classes', () => {
+      const html = `
+        <main>
+          <div class="highlight-python"><pre>print("hi")</pre></div>
+          <pre class="lang-bash">echo hi</pre>
+          <pre class="language-none">plain</pre>
+        </main>
+      `;
+      const $ = cheerio.load(html);
+      const code = extractSections($).filter(s => s.type === 'code');
+
+      expect(code).toEqual([
+        { type: 'code', language: 'python', content: 'print("hi")' },
+        { type: 'code', language: 'bash', content: 'echo hi' },
+        { type: 'code', content: 'plain' }
+      ]);
+    });
+
+    it('should strip line-number gutters and copy widgets from code', () => {
+      const html = `
+        <main><pre><span class="copy">Copy</span><code><span class="line-numbers-rows"><span></span></span>a = 1
+b = 2</code></pre>
+        <pre><table><tr><td class="hljs-ln-numbers" data-line-number="1"></td><td>x = 1</td></tr><tr><td class="hljs-ln-numbers" data-line-number="2"></td><td>y = 2</td></tr></table></pre></main>
+      `;
+      const $ = cheerio.load(html);
+      const code = extractSections($).filter(s => s.type === 'code');
+
+      expect(code.map(s => s.content)).toEqual(['a = 1\nb = 2', 'x = 1\ny = 2']);
+    });
+
+    it('should treat multi-line code paragraphs as code blocks', () => {
+      const html = '<main><p><code>npm install<br>npm test</code></p></main>';
+      const $ = cheerio.load(html);
+      const sections = extractSections($);
+
+      expect(sections).toEqual([{ type: 'code', content: 'npm install\nnpm test' }]);
+    });
+
+    it('should extract figures with caption and absolute src', () => {
+      const html = `
+        <main><figure>
+          <img src="/img/chart.png" alt="Sales chart">
+          <figcaption>Figure 1: Sales in 2024</figcaption>
+        </figure></main>
+      `;
+      const $ = cheerio.load(html);
+      const sections = extractSections($, { baseUrl: 'https://example.com/blog/post' });
+
+      expect(sections).toEqual([{
+        type: 'image',
+        src: 'https://example.com/img/chart.png',
+        alt: 'Sales chart',
+        caption: 'Figure 1: Sales in 2024'
+      }]);
+    });
+
+    it('should resolve srcset and lazy-loaded image sources', () => {
+      const html = `
+        <main>
+          <img src="data:image/gif;base64,R0lGOD" data-src="https://cdn.example.com/lazy.jpg" alt="Lazy">
+          <img src="small.jpg" srcset="small.jpg 480w, large.jpg 1200w" alt="Responsive">
+        </main>
+      `;
+      const $ = cheerio.load(html);
+      const images = extractSections($, { baseUrl: 'https://example.com/' });
+
+      expect(images.map(s => s.src)).toEqual([
+        'https://cdn.example.com/lazy.jpg',
+        'https://example.com/large.jpg'
+      ]);
+    });
+
+    it('should skip decorative images and tracking pixels', () => {
+      const html = '<main><img src="a.png" alt=""><img src="pixel.gif" width="1" height="1" alt="x"></main>';
+      const $ = cheerio.load(html);
+
+      expect(extractSections($)).toEqual([]);
+    });
+
+    it('should extract nested lists as item trees', () => {
+      const html = `
+        <main><ul>
+          <li>Fruit
+            <ol start="3"><li>Apple</li><li>Pear</li></ol>
+          </li>
+          <li>Vegetables</li>
+        </ul></main>
+      `;
+      const $ = cheerio.load(html);
+      const sections = extractSections($);
+
+      expect(sections).toEqual([{
+        type: 'bullet-list',
+        items: [
+          { content: 'Fruit', children: [{ type: 'numbered-list', start: 3, items: ['Apple', 'Pear'] }] },
+          'Vegetables'
+        ]
+      }]);
+    });
+
+    it('should keep task list checkboxes', () => {
+      const html = `
+        <main>
+          <form><input type="checkbox" name="subscribe"></form>
+          <ul>
+            <li><input type="checkbox" checked disabled> Write docs</li>
+            <li><input type="checkbox" disabled> Ship release</li>
+          </ul>
+        </main>
+      `;
+      const $ = removeUnwantedElements(cheerio.load(html));
+      const [list] = extractSections($);
+
+      expect(list.items).toEqual([
+        { content: 'Write docs', checked: true },
+        { content: 'Ship release', checked: false }
+      ]);
+    });
+
     it('should filter out short text', () => {
       const html = '<main><p>ab</p><p>This is valid text</p></main>';
       const $ = cheerio.load(html);
@@ -165,6 +620,281 @@ describe('Content Extraction', () => {
   });
 });
 
+describe('extractFromHTML', () => {
+  it('should extract markup without fetching and resolve links against baseUrl', () => {
+    const content = extractFromHTML(
+      '<html lang="en"><head><title>Saved</title></head><body><nav>Menu</nav><article><h1>Saved Page</h1><p>Read <a href="../about">about us</a>.</p><img src="logo.png" alt="Logo"></article></body></html>',
+      { baseUrl: 'https://example.com/blog/post' }
+    );
+
+    expect(content.title).toBe('Saved Page');
+    expect(content.metadata).toMatchObject({ url: 'https://example.com/blog/post', language: 'en', render: 'html' });
+    expect(content.sections).toContainEqual({ type: 'image', src: 'https://example.com/blog/logo.png', alt: 'Logo' });
+    expect(content.sections[1].inline[1]).toMatchObject({ type: 'link', href: 'https://example.com/about' });
+  });
+
+  it('should keep relative links without a base URL', () => {
+    const content = extractFromHTML('<p>Go <a href="/x">there</a> now please.</p>');
+    expect(content.metadata.url).toBe('');
+    expect(content.sections[0].inline[1]).toMatchObject({ type: 'link', href: '/x' });
+  });
+});
+
+describe('Boilerplate Removal', () => {
+  const NEWSLETTER = (date) => `Subscribe to our newsletter for weekly updates. Last sent ${date}.`;
+  const makePage = (title, extra = []) => ({
+    title,
+    url: `https://example.com/${title.toLowerCase()}`,
+    sections: [
+      { type: 'h1', content: title },
+      {
+        type: 'paragraph',
+        content: `All about ${title}.`,
+        inline: [{ type: 'link', href: `https://example.com/${title.toLowerCase()}/guide`, children: [{ type: 'text', text: `All about ${title}.` }] }]
+      },
+      ...extra
+    ]
+  });
+
+  it('should learn blocks that repeat across most pages and strip them', () => {
+    const pages = [
+      makePage('Alpha', [{ type: 'paragraph', content: NEWSLETTER('May 1, 2024') }]),
+      makePage('Beta', [{ type: 'paragraph', content: NEWSLETTER('May 8, 2024') }]),
+      makePage('Gamma', [{ type: 'paragraph', content: NEWSLETTER('May 15, 2024') }]),
+      makePage('Delta')
+    ];
+    const { contents, removed } = removeBoilerplate(pages);
+
+    expect(removed).toEqual([
+      { type: 'paragraph', text: NEWSLETTER('May 1, 2024'), pages: 3, share: 0.75 }
+    ]);
+    expect(contents.map(content => content.sections.length)).toEqual([2, 2, 2, 2]);
+    expect(contents[3]).toBe(pages[3]);
+  });
+
+  it('should keep section titles that every page shares', () => {
+    const withOutline = (title) => makePage(title, [
+      { type: 'h2', content: 'Installation' },
+      { type: 'paragraph', content: `Install ${title} with your package manager of choice.` },
+      { type: 'h2', content: 'Usage' }
+    ]);
+    const { contents, removed } = removeBoilerplate(['Alpha', 'Beta', 'Gamma'].map(withOutline));
+
+    expect(removed).toEqual([]);
+    expect(contents[0].sections.filter(section => section.type === 'h2').map(section => section.content))
+      .toEqual(['Installation', 'Usage']);
+  });
+
+  it('should need enough pages and recompute the link list', () => {
+    const model = createBoilerplateModel({ minPages: 3, minShare: 1 });
+    const footer = {
+      type: 'paragraph',
+      content: 'Legal notice',
+      inline: [{ type: 'link', href: 'https://example.com/legal', children: [{ type: 'text', text: 'Legal notice' }] }]
+    };
+    const alpha = { ...makePage('Alpha', [footer]), links: [] };
+
+    model.learn(alpha);
+    model.learn(makePage('Beta', [footer]));
+    expect(model.isBoilerplate(footer)).toBe(false);
+
+    model.learn(makePage('Gamma', [footer]));
+    expect(model.pages()).toBe(3);
+    expect(model.isBoilerplate(footer)).toBe(true);
+
+    const { content, removed } = model.strip(alpha);
+    expect(removed).toEqual([footer]);
+    expect(content.links.map(link => link.url)).toEqual(['https://example.com/alpha/guide']);
+    expect(model.report().map(block => block.type)).toEqual(['paragraph']);
+  });
+});
+
+describe('Site Rules', () => {
+  const page = `<html><body>
+    <div class="layout">
+      <div class="doc">
+        <h1>API Guide</h1>
+        <p>Everything about the API in one long paragraph of documentation text.</p>
+        <div class="callout"><p>Tokens expire after one hour.</p></div>
+        <p class="edit-link">Edit this page on GitHub</p>
+        <p>Draft: internal notes that should be dropped.</p>
+      </div>
+      <div class="comments"><p>A long comment that readability might consider part of the article text.</p></div>
+    </div>
+  </body></html>`;
+
+  const docsRule = {
+    name: 'example-docs',
+    match: 'docs.example.com/guide/**',
+    contentSelector: '.doc',
+    remove: ['.edit-link'],
+    extractors: {
+      div: ($el) => ($el.hasClass('callout') ? { type: 'quote', content: $el.text().trim() } : undefined)
+    },
+    postProcess: (sections, { url }) => sections
+      .filter(section => !section.content?.startsWith('Draft:'))
+      .concat({ type: 'paragraph', content: `From ${url}` })
+  };
+
+  it('should apply content root, removals, extractors and post-processing of matching rules', () => {
+    const content = extractFromHTML(page, { baseUrl: 'https://docs.example.com/guide/api', rules: [docsRule] });
+
+    expect(content.metadata.extraction).toEqual({ mode: 'rule', rule: 'example-docs', rules: ['example-docs'] });
+    expect(content.sections).toEqual([
+      { type: 'h1', content: 'API Guide' },
+      { type: 'paragraph', content: 'Everything about the API in one long paragraph of documentation text.' },
+      { type: 'quote', content: 'Tokens expire after one hour.' },
+      { type: 'paragraph', content: 'From https://docs.example.com/guide/api' }
+    ]);
+  });
+
+  it('should leave other URLs alone', () => {
+    const content = extractFromHTML(page, { baseUrl: 'https://docs.example.com/blog/post', rules: [docsRule] });
+
+    expect(content.metadata.extraction.mode).not.toBe('rule');
+    expect(content.sections).toContainEqual({ type: 'paragraph', content: 'Edit this page on GitHub' });
+  });
+
+  it('should match hostnames, URL globs, regular expressions and functions', () => {
+    const matches = (match, url) =>
+      extractFromHTML(page, { baseUrl: url, rules: [{ name: 'r', match, contentSelector: '.doc' }] }).metadata.extraction.mode === 'rule';
+
+    expect(matches('*.example.com', 'https://docs.example.com/x')).toBe(true);
+    expect(matches('*.example.com', 'https://example.com/x')).toBe(false);
+    expect(matches('example.com', 'https://example.com/x')).toBe(true);
+    expect(matches('https://example.com/docs/*', 'https://example.com/docs/a')).toBe(true);
+    expect(matches(/\/v2\//, 'https://example.com/v2/a')).toBe(true);
+    expect(matches([url => url.endsWith('.html'), 'nope.com'], 'https://example.com/a.html')).toBe(true);
+    expect(matches('example.com', '')).toBe(false);
+  });
+
+  it('should apply registered rules until they are removed', () => {
+    const unregister = registerRules({ name: 'global', match: 'example.org', remove: ['.callout'] });
+    try {
+      const content = extractFromHTML(page, { baseUrl: 'https://example.org/' });
+      expect(content.metadata.extraction.rules).toEqual(['global']);
+      expect(content.sections).not.toContainEqual(expect.objectContaining({ content: 'Tokens expire after one hour.' }));
+    } finally {
+      unregister();
+    }
+    expect(extractFromHTML(page, { baseUrl: 'https://example.org/' }).metadata.extraction.rules).toBeUndefined();
+    expect(() => registerRules({ name: 'broken' })).toThrow('needs a match pattern');
+  });
+
+  it('should leave other rules registered when removing twice', () => {
+    const removeFirst = registerRules({ name: 'first', match: 'example.org', remove: ['.callout'] });
+    const removeSecond = registerRules({ name: 'second', match: 'example.org', remove: ['.edit-link'] });
+    try {
+      removeFirst();
+      removeFirst();
+      expect(extractFromHTML(page, { baseUrl: 'https://example.org/' }).metadata.extraction.rules).toEqual(['second']);
+    } finally {
+      removeSecond();
+    }
+  });
+
+  it('should load rules from JSON configs and JS modules', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'web-content-llm-rules-'));
+    try {
+      await writeFile(join(dir, 'callouts.js'), `export default {
+        name: 'callouts',
+        match: '*.example.com',
+        extractors: { div: ($el) => ($el.hasClass('callout') ? { type: 'quote', content: $el.text().trim() } : undefined) }
+      };`);
+      await writeFile(join(dir, 'rules.json'), JSON.stringify({
+        rules: [{ name: 'docs', match: 'docs.example.com', contentSelector: '.doc', remove: ['.edit-link'] }],
+        modules: ['./callouts.js']
+      }));
+
+      const rules = await loadRules(join(dir, 'rules.json'));
+      expect(rules.map(rule => rule.name)).toEqual(['docs', 'callouts']);
+
+      const content = extractFromHTML(page, { baseUrl: 'https://docs.example.com/', rules });
+      expect(content.metadata.extraction).toMatchObject({ mode: 'rule', rules: ['docs', 'callouts'] });
+      expect(content.sections).toContainEqual({ type: 'quote', content: 'Tokens expire after one hour.' });
+      expect(content.sections).not.toContainEqual(expect.objectContaining({ content: 'Edit this page on GitHub' }));
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Main Content Detection', () => {
+  const paragraph = (text) => `<p>${text}, with enough words, commas, and length to count as real content.</p>`;
+  const html = `
+    <body>
+      <div class="wrapper">
+        <div class="post-body">
+          <h2>Article heading</h2>
+          ${paragraph('First paragraph of the article')}
+          ${paragraph('Second paragraph of the article')}
+          ${paragraph('Third paragraph of the article')}
+        </div>
+        <div class="comments">${paragraph('A reader comment')}</div>
+        <div class="related-articles"><a href="/a">${paragraph('Teaser for another story')}</a></div>
+        <div class="links">
+          <p><a href="/x">A long list of navigation links here</a> <a href="/y">and more links over here</a></p>
+        </div>
+      </div>
+    </body>
+  `;
+
+  it('should select the best scoring subtree', () => {
+    const $ = cheerio.load(html);
+    const { root, mode, score, confidence } = locateMainContent($);
+
+    expect(mode).toBe('readability');
+    expect(root.hasClass('post-body')).toBe(true);
+    expect(score).toBeGreaterThan(0);
+    expect(confidence).toBeGreaterThan(0.5);
+    expect(confidence).toBeLessThanOrEqual(1);
+  });
+
+  it('should leave comments and related teasers out of the sections', () => {
+    const $ = cheerio.load(html);
+    const sections = extractSections($);
+    const text = sections.map(s => s.content).join(' ');
+
+    expect(sections[0]).toEqual({ type: 'h2', content: 'Article heading' });
+    expect(text).toContain('Third paragraph');
+    expect(text).not.toContain('reader comment');
+    expect(text).not.toContain('Teaser');
+    expect(text).not.toContain('navigation links');
+  });
+
+  it('should keep highlighted code whose token classes look unlikely', () => {
+    const content = extractFromHTML(`
+      <article>
+        ${paragraph('An article with a code sample')}
+        <pre><code class="hljs language-js">const a = 1; <span class="hljs-comment">// important</span>
+<span class="hljs-keyword">export</span> <span class="share">a</span>;</code></pre>
+      </article>
+    `);
+
+    expect(content.sections).toContainEqual({
+      type: 'code',
+      language: 'js',
+      content: 'const a = 1; // important\nexport a;'
+    });
+  });
+
+  it('should support the first-selector-wins mode', () => {
+    const $ = cheerio.load(html);
+    const { root, mode } = locateMainContent($, { contentMode: 'selector' });
+
+    expect(mode).toBe('selector');
+    expect(root.is('body')).toBe(true);
+  });
+
+  it('should fall back to the selector without scorable paragraphs', () => {
+    const $ = cheerio.load('<main><h1>Only a heading</h1></main>');
+    const { root, mode } = locateMainContent($);
+
+    expect(mode).toBe('selector');
+    expect(root.find('h1').text()).toBe('Only a heading');
+  });
+});
+
 describe('Markdown Generation', () => {
   const mockContent = {
     title: 'Test Article',
@@ -204,6 +934,31 @@ describe('Markdown Generation', () => {
     expect(markdown).toContain('> A wise quote');
   });
 
+  it('should emit YAML frontmatter instead of bold metadata lines', () => {
+    const markdown = generateMarkdown({
+      ...mockContent,
+      title: 'Test: Article',
+      metadata: { ...mockContent.metadata, language: 'en', keywords: ['llm', 'true'], jsonLd: [{}] }
+    }, { frontmatter: true });
+
+    expect(markdown.startsWith([
+      '---',
+      'title: "Test: Article"',
+      'url: https://example.com/article',
+      'description: Test description',
+      'language: en',
+      'keywords:',
+      '  - llm',
+      '  - "true"',
+      'scrapedAt: 2025-01-15T12:00:00.000Z',
+      '---',
+      '',
+      '# Test: Article'
+    ].join('\n'))).toBe(true);
+    expect(markdown).not.toContain('**Source:**');
+    expect(markdown).not.toContain('jsonLd');
+  });
+
   it('should include footer text if provided', () => {
     const markdown = generateMarkdown(mockContent, { footerText: 'Custom footer' });
 
@@ -218,60 +973,606 @@ describe('Markdown Generation', () => {
   });
 });
 
-describe('Plain Text Generation', () => {
-  const mockContent = {
-    title: 'Test Article',
-    metadata: {
-      url: 'https://example.com/article',
-      scrapedAt: '2025-01-15T12:00:00.000Z',
-      description: 'Test description'
-    },
+describe('Inline Rendering', () => {
+  const content = {
+    title: 'Inline',
+    metadata: { url: 'https://example.com' },
     sections: [
-      { type: 'h1', content: 'Main Heading' },
-      { type: 'h2', content: 'Subheading' },
-      { type: 'paragraph', content: 'This is a paragraph.' },
-      { type: 'bullet-list', items: ['Item 1', 'Item 2'] },
-      { type: 'numbered-list', items: ['First', 'Second'] },
-      { type: 'quote', content: 'A wise quote' }
+      {
+        type: 'paragraph',
+        content: 'See the docs and run npm test now',
+        inline: [
+          { type: 'text', text: 'See ' },
+          { type: 'link', href: 'https://example.com/docs', children: [{ type: 'text', text: 'the docs' }] },
+          { type: 'text', text: ' and ' },
+          { type: 'strong', children: [{ type: 'text', text: 'run ' }] },
+          { type: 'code', text: 'npm test' },
+          { type: 'break' },
+          { type: 'emphasis', children: [{ type: 'text', text: 'now' }] }
+        ]
+      },
+      {
+        type: 'bullet-list',
+        items: [{ content: 'Line one Line two', inline: [{ type: 'text', text: 'Line one' }, { type: 'break' }, { type: 'text', text: 'Line two' }] }]
+      }
     ]
   };
 
-  it('should generate plain text with title underline', () => {
-    const text = generatePlainText(mockContent);
+  it('should render links, emphasis and code in markdown', () => {
+    const markdown = generateMarkdown(content);
 
-    expect(text).toContain('Test Article');
-    expect(text).toContain('='.repeat('Test Article'.length));
+    expect(markdown).toContain('See [the docs](https://example.com/docs) and **run** `npm test`  \n*now*');
+    expect(markdown).toContain('- Line one  \n  Line two');
   });
 
-  it('should include metadata', () => {
-    const text = generatePlainText(mockContent);
+  it('should degrade inline formatting in plain text', () => {
+    const text = generatePlainText(content);
 
-    expect(text).toContain('Source: https://example.com/article');
-    expect(text).toContain('Generated:');
+    expect(text).toContain('See the docs (https://example.com/docs) and run npm test\nnow');
+    expect(text).toContain('• Line one\n  Line two');
   });
 
-  it('should render sections as plain text', () => {
-    const text = generatePlainText(mockContent);
+  it('should keep inline markup in HTML', () => {
+    const html = generateHTML(content);
 
-    expect(text).toContain('Main Heading');
-    expect(text).toContain('Subheading');
-    expect(text).toContain('This is a paragraph.');
-    expect(text).toContain('• Item 1');
-    expect(text).toContain('• Item 2');
-    expect(text).toContain('1. First');
-    expect(text).toContain('2. Second');
-    expect(text).toContain('"A wise quote"');
+    expect(html).toContain('<p>See <a href="https://example.com/docs">the docs</a> and <strong>run </strong><code>npm test</code><br><em>now</em></p>');
   });
+});
 
-  it('should include footer with separator if provided', () => {
-    const text = generatePlainText(mockContent, { footerText: 'Custom footer' });
+describe('Reference Links', () => {
+  const page = `<main>
+    <h1>Guide</h1>
+    <p>Read the <a href="/docs">docs</a> or the <a href="https://github.com/example/repo">source</a>.</p>
+    <ul>
+      <li>Again: <a href="https://www.example.com/docs">the docs</a>
+        <ul><li>Ask <a href="mailto:help@example.com">support</a></li></ul>
+      </li>
+    </ul>
+    <blockquote>Quoted <a href="https://blog.example.com/post">post</a></blockquote>
+  </main>`;
 
-    expect(text).toContain('─'.repeat(50));
-    expect(text).toContain('Custom footer');
+  it('should expose deduplicated, classified links on scraped content', () => {
+    const content = extractFromHTML(page, { baseUrl: 'https://example.com/guide/' });
+
+    expect(content.links).toEqual([
+      { index: 1, url: 'https://example.com/docs', text: 'docs', type: 'internal', count: 1 },
+      { index: 2, url: 'https://github.com/example/repo', text: 'source', type: 'external', count: 1 },
+      { index: 3, url: 'https://www.example.com/docs', text: 'the docs', type: 'internal', count: 1 },
+      { index: 4, url: 'mailto:help@example.com', text: 'support', type: 'external', count: 1 },
+      { index: 5, url: 'https://blog.example.com/post', text: 'post', type: 'external', count: 1 }
+    ]);
+    expect(collectLinks({ ...content, sections: [...content.sections, content.sections[1]] })[0].count).toBe(2);
   });
-});
 
-describe('HTML Generation', () => {
+  it('should render reference-style links with a numbered list at the end', () => {
+    const content = extractFromHTML(page.replace('https://www.example.com/docs', '/docs'), { baseUrl: 'https://example.com/guide/' });
+    const markdown = generateMarkdown(content, { linkStyle: 'reference', footerText: 'Footer' });
+
+    expect(markdown).toContain('Read the [docs][1] or the [source][2].');
+    expect(markdown).toContain('- Again: [the docs][1]\n  - Ask [support][3]');
+    expect(markdown).toContain('> Quoted [post][4]');
+    expect(markdown).toContain('[1]: https://example.com/docs\n[2]: https://github.com/example/repo\n[3]: mailto:help@example.com\n[4]: https://blog.example.com/post\n\n---\n\nFooter');
+    expect(generateMarkdown(content)).toContain('Read the [docs](https://example.com/docs)');
+  });
+
+  it('should collect links in headings, table cells and linked images', () => {
+    const content = extractFromHTML(`<main>
+      <h2 id="api"><a href="#api">¶</a> The <a href="/api">API</a></h2>
+      <table>
+        <thead><tr><th>Package</th><th>Notes</th></tr></thead>
+        <tbody><tr><td><a href="https://npmjs.com/pkg">pkg</a></td><td>See<br><a href="/changes">changes</a></td></tr></tbody>
+      </table>
+      <figure><a href="/full.png"><img src="/thumb.png" alt="Diagram"></a><figcaption>Architecture</figcaption></figure>
+    </main>`, { baseUrl: 'https://example.com/guide/' });
+
+    expect(content.links.map(link => [link.url, link.text])).toEqual([
+      ['https://example.com/api', 'API'],
+      ['https://npmjs.com/pkg', 'pkg'],
+      ['https://example.com/changes', 'changes'],
+      ['https://example.com/full.png', 'Diagram']
+    ]);
+    expect(content.sections[0]).toMatchObject({ type: 'h2', content: '¶ The API' });
+
+    const markdown = generateMarkdown(content, { linkStyle: 'reference' });
+    expect(markdown).toContain('## ¶ The [API][1]');
+    expect(markdown).toContain('| [pkg][2] | See [changes][3] |');
+    expect(markdown).toContain('[![Diagram](https://example.com/thumb.png)][4]\n*Architecture*');
+    expect(markdown).toContain('[4]: https://example.com/full.png');
+
+    const html = generateHTML(content);
+    expect(html).toContain('<h2>¶ The <a href="https://example.com/api">API</a></h2>');
+    expect(html).toContain('<td><a href="https://npmjs.com/pkg">pkg</a></td>');
+    expect(html).toContain('<a href="https://example.com/full.png"><img src="https://example.com/thumb.png" alt="Diagram"></a>');
+    expect(validateContent(JSON.parse(generateJSON(content))).valid).toBe(true);
+  });
+});
+
+describe('Nested List Rendering', () => {
+  const list = {
+    type: 'bullet-list',
+    items: [
+      {
+        content: 'Fruit',
+        children: [{ type: 'numbered-list', start: 3, items: ['Apple', { content: 'Pear', checked: true }] }]
+      },
+      { content: 'Vegetables', checked: false }
+    ]
+  };
+  const content = { title: 'Lists', metadata: { url: 'https://example.com' }, sections: [list] };
+
+  it('should indent nested lists in markdown', () => {
+    expect(generateMarkdown(content)).toContain('- Fruit\n  3. Apple\n  4. [x] Pear\n- [ ] Vegetables\n');
+  });
+
+  it('should indent nested lists in plain text', () => {
+    expect(generatePlainText(content)).toContain('• Fruit\n  3. Apple\n  4. [x] Pear\n• [ ] Vegetables\n');
+  });
+
+  it('should render nested list markup in HTML', () => {
+    expect(renderSection(list)).toBe(
+      '<ul><li>Fruit<ol start="3"><li>Apple</li><li><input type="checkbox" disabled checked> Pear</li></ol></li>' +
+      '<li><input type="checkbox" disabled> Vegetables</li></ul>'
+    );
+  });
+});
+
+describe('Code Rendering', () => {
+  const content = {
+    title: 'Code',
+    metadata: { url: 'https://example.com' },
+    sections: [{ type: 'code', language: 'js', content: 'if (a) {\n  b();\n}' }]
+  };
+
+  it('should render fenced code blocks in markdown', () => {
+    const markdown = generateMarkdown(content);
+
+    expect(markdown).toContain('```js\nif (a) {\n  b();\n}\n```');
+  });
+
+  it('should use a longer fence when the code contains one', () => {
+    const markdown = generateMarkdown({
+      ...content,
+      sections: [{ type: 'code', content: '```\nnested\n```' }]
+    });
+
+    expect(markdown).toContain('````\n```\nnested\n```\n````');
+  });
+
+  it('should indent code blocks in plain text', () => {
+    const text = generatePlainText(content);
+
+    expect(text).toContain('    if (a) {\n      b();\n    }');
+  });
+
+  it('should render escaped pre blocks in HTML', () => {
+    expect(renderSection({ type: 'code', language: 'html', content: '<b>' }))
+      .toBe('<pre><code class="language-html">&lt;b&gt;</code></pre>');
+  });
+});
+
+describe('Image Rendering', () => {
+  const image = { type: 'image', src: 'https://example.com/a b.png', alt: 'Diagram', caption: 'Architecture' };
+  const content = {
+    title: 'Images',
+    metadata: { url: 'https://example.com' },
+    sections: [image]
+  };
+
+  it('should render images in markdown', () => {
+    expect(generateMarkdown(content)).toContain('![Diagram](https://example.com/a%20b.png)\n*Architecture*');
+  });
+
+  it('should render image placeholders in plain text', () => {
+    expect(generatePlainText(content)).toContain('[Image: Diagram — Architecture]');
+  });
+
+  it('should render figures in HTML', () => {
+    expect(renderSection(image)).toBe(
+      '<figure><img src="https://example.com/a b.png" alt="Diagram"><figcaption>Architecture</figcaption></figure>'
+    );
+  });
+});
+
+describe('Table Rendering', () => {
+  const table = {
+    type: 'table',
+    caption: 'Specs',
+    header: [[{ content: 'Name' }, { content: 'Value' }]],
+    rows: [
+      [{ content: 'Size', rowspan: 2 }, { content: '10 | 20' }],
+      [{ content: 'Large' }],
+      [{ content: 'Weight and colour', colspan: 2 }]
+    ]
+  };
+  const content = {
+    title: 'Tables',
+    metadata: { url: 'https://example.com' },
+    sections: [table]
+  };
+
+  it('should render GFM pipe tables in markdown', () => {
+    const markdown = generateMarkdown(content);
+
+    expect(markdown).toContain('**Specs**');
+    expect(markdown).toContain('| Name | Value |\n| --- | --- |');
+    expect(markdown).toContain('| Size | 10 \\| 20 |');
+    expect(markdown).toContain('|  | Large |');
+    expect(markdown).toContain('| Weight and colour |  |');
+  });
+
+  it('should promote the first row to a header when none exists', () => {
+    const markdown = generateMarkdown({
+      ...content,
+      sections: [{ type: 'table', header: [], rows: [[{ content: 'a' }, { content: 'b' }], [{ content: 'c' }, { content: 'd' }]] }]
+    });
+
+    expect(markdown).toContain('| a | b |\n| --- | --- |\n| c | d |');
+  });
+
+  it('should render aligned ASCII grids in plain text', () => {
+    const text = generatePlainText(content);
+
+    expect(text).toContain('+-------------------+---------+');
+    expect(text).toContain('| Name              | Value   |');
+    expect(text).toContain('+===================+=========+');
+    expect(text).toContain('| Size              | 10 | 20 |');
+  });
+
+  it('should render real table markup in HTML', () => {
+    const html = renderSection(table);
+
+    expect(html).toContain('<caption>Specs</caption>');
+    expect(html).toContain('<thead><tr><th>Name</th><th>Value</th></tr></thead>');
+    expect(html).toContain('<td rowspan="2">Size</td>');
+    expect(html).toContain('<td colspan="2">Weight and colour</td>');
+  });
+});
+
+describe('Plain Text Generation', () => {
+  const mockContent = {
+    title: 'Test Article',
+    metadata: {
+      url: 'https://example.com/article',
+      scrapedAt: '2025-01-15T12:00:00.000Z',
+      description: 'Test description'
+    },
+    sections: [
+      { type: 'h1', content: 'Main Heading' },
+      { type: 'h2', content: 'Subheading' },
+      { type: 'paragraph', content: 'This is a paragraph.' },
+      { type: 'bullet-list', items: ['Item 1', 'Item 2'] },
+      { type: 'numbered-list', items: ['First', 'Second'] },
+      { type: 'quote', content: 'A wise quote' }
+    ]
+  };
+
+  it('should generate plain text with title underline', () => {
+    const text = generatePlainText(mockContent);
+
+    expect(text).toContain('Test Article');
+    expect(text).toContain('='.repeat('Test Article'.length));
+  });
+
+  it('should include metadata', () => {
+    const text = generatePlainText(mockContent);
+
+    expect(text).toContain('Source: https://example.com/article');
+    expect(text).toContain('Generated:');
+  });
+
+  it('should render sections as plain text', () => {
+    const text = generatePlainText(mockContent);
+
+    expect(text).toContain('Main Heading');
+    expect(text).toContain('Subheading');
+    expect(text).toContain('This is a paragraph.');
+    expect(text).toContain('• Item 1');
+    expect(text).toContain('• Item 2');
+    expect(text).toContain('1. First');
+    expect(text).toContain('2. Second');
+    expect(text).toContain('"A wise quote"');
+  });
+
+  it('should use the labels of the chosen locale', () => {
+    const text = generatePlainText({ ...mockContent, sections: [{ type: 'image', src: 'a.png', alt: 'Diagramm' }] }, { locale: 'de' });
+
+    expect(text).toContain('Quelle: https://example.com/article');
+    expect(text).toMatch(/Generiert am: \d+\. \S+ \d{4}/);
+    expect(text).toContain('[Bild: Diagramm]');
+  });
+
+  it('should accept custom label dictionaries', () => {
+    const text = generatePlainText(mockContent, {
+      locale: 'fr',
+      labels: { source: 'Source', generated: 'Généré le' }
+    });
+
+    expect(text).toMatch(/Généré le: \d+ \S+ \d{4}/);
+    expect(generateMarkdown(mockContent, { locale: 'xx-invalid-!!' })).toContain('**Generated:**');
+  });
+
+  it('should include footer with separator if provided', () => {
+    const text = generatePlainText(mockContent, { footerText: 'Custom footer' });
+
+    expect(text).toContain('─'.repeat(50));
+    expect(text).toContain('Custom footer');
+  });
+});
+
+describe('JSON Output', () => {
+  const content = {
+    title: 'Guide',
+    metadata: { url: 'https://example.com/guide', scrapedAt: '2025-01-15T12:00:00.000Z' },
+    sections: [
+      { type: 'h1', content: 'Guide' },
+      { type: 'paragraph', content: 'Intro.' },
+      { type: 'h2', content: 'Setup' },
+      { type: 'h3', content: 'Linux' },
+      { type: 'code', language: 'bash', content: 'npm install' },
+      { type: 'h2', content: 'Usage' },
+      { type: 'bullet-list', items: ['One', { content: 'Two', checked: true }] },
+      { type: 'table', header: [[{ content: 'A' }]], rows: [[{ content: '1', colspan: 2 }]] }
+    ]
+  };
+
+  it('should generate a versioned JSON document', () => {
+    const document = JSON.parse(generateJSON(content));
+
+    expect(document.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(document.title).toBe('Guide');
+    expect(document.metadata.url).toBe('https://example.com/guide');
+    expect(document.sections).toEqual(content.sections);
+    expect(validateContent(document)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should emit one JSONL record per section with its heading path', () => {
+    const records = generateJSONL(content).trim().split('\n').map(line => JSON.parse(line));
+
+    expect(records).toHaveLength(content.sections.length);
+    expect(records[0]).toMatchObject({ url: 'https://example.com/guide', index: 0, headingPath: [] });
+    expect(records[1].headingPath).toEqual(['Guide']);
+    expect(records[4]).toMatchObject({ index: 4, headingPath: ['Guide', 'Setup', 'Linux'], section: content.sections[4] });
+    expect(records[6].headingPath).toEqual(['Guide', 'Usage']);
+    records.forEach(record => expect(validateContent(record).valid).toBe(true));
+  });
+
+  it('should skip missing heading levels in the heading path', () => {
+    const records = generateJSONL({
+      ...content,
+      sections: [
+        { type: 'h2', content: 'Setup' },
+        { type: 'paragraph', content: 'Intro.' },
+        { type: 'h4', content: 'Linux' },
+        { type: 'paragraph', content: 'Use the package.' },
+        { type: 'h3', content: 'macOS' },
+        { type: 'paragraph', content: 'Use Homebrew.' }
+      ]
+    }).trim().split('\n').map(line => JSON.parse(line));
+
+    expect(records.map(record => record.headingPath)).toEqual([
+      [], ['Setup'], ['Setup'], ['Setup', 'Linux'], ['Setup'], ['Setup', 'macOS']
+    ]);
+    records.forEach(record => expect(validateContent(record)).toEqual({ valid: true, errors: [] }));
+  });
+
+  it('should report schema violations with their path', () => {
+    const result = validateContent({
+      schemaVersion: '2.0',
+      title: 'Broken',
+      metadata: { url: 'https://example.com' },
+      sections: [
+        { type: 'paragraph' },
+        { type: 'marquee', content: 'x' },
+        { type: 'bullet-list', items: [{ content: 'a', children: [{ type: 'paragraph', content: 'b' }] }] },
+        { type: 'table', header: [], rows: [[{ content: 'x', rowspan: 0 }]] }
+      ]
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'schemaVersion: unsupported version "2.0" (expected 1.x)',
+      'sections[0].content: expected a string',
+      'sections[1].type: unknown section type "marquee"',
+      'sections[2].items[0].children[0].type: expected "bullet-list" or "numbered-list"',
+      'sections[3].rows[0][0].rowspan: expected a positive integer'
+    ]);
+  });
+});
+
+describe('Chunking', () => {
+  const content = {
+    title: 'Guide',
+    metadata: { url: 'https://example.com/guide' },
+    sections: [
+      { type: 'h1', content: 'Guide' },
+      { type: 'paragraph', content: 'Intro paragraph.' },
+      { type: 'h2', content: 'Install' },
+      { type: 'paragraph', content: 'First sentence here. Second sentence here. Third sentence here.' },
+      { type: 'code', language: 'bash', content: 'npm install web-content-llm\nnpm test' },
+      { type: 'h3', content: 'Linux' },
+      { type: 'bullet-list', items: ['Alpha item', 'Beta item', 'Gamma item'] }
+    ]
+  };
+  const wordCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+  it('should estimate tokens from characters', () => {
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('abcdefghi')).toBe(3);
+  });
+
+  it('should start chunks at headings and prefix the breadcrumb', () => {
+    const chunks = chunkContent(content);
+
+    expect(chunks.map(c => c.text)).toEqual([
+      'Guide\n\nIntro paragraph.',
+      'Guide > Install\n\nFirst sentence here. Second sentence here. Third sentence here.\n\n```bash\nnpm install web-content-llm\nnpm test\n```',
+      'Guide > Install > Linux\n\n- Alpha item\n- Beta item\n- Gamma item'
+    ]);
+    expect(chunks[1].metadata).toEqual({
+      url: 'https://example.com/guide',
+      title: 'Guide',
+      index: 1,
+      headings: ['Guide', 'Install'],
+      sectionIndices: [3, 4],
+      tokens: estimateTokens(chunks[1].text)
+    });
+  });
+
+  it('should split oversized sections on sentences and list items but not code', () => {
+    const chunks = chunkContent(content, { maxTokens: 9, tokenizer: wordCount });
+    const texts = chunks.map(c => c.text);
+
+    expect(texts).toContain('Guide > Install\n\nFirst sentence here. Second sentence here.');
+    expect(texts).toContain('Guide > Install\n\nThird sentence here.');
+    expect(texts).toContain('Guide > Install\n\n```bash\nnpm install web-content-llm\nnpm test\n```');
+    expect(texts).toContain('Guide > Install > Linux\n\n- Alpha item');
+    expect(texts).toContain('Guide > Install > Linux\n\n- Gamma item');
+  });
+
+  it('should repeat trailing pieces as overlap', () => {
+    const chunks = chunkContent(content, { maxTokens: 11, overlap: 3, tokenizer: wordCount });
+    const linux = chunks.filter(c => c.metadata.headings.includes('Linux')).map(c => c.text);
+
+    expect(linux).toEqual([
+      'Guide > Install > Linux\n\n- Alpha item\n- Beta item',
+      'Guide > Install > Linux\n\n- Beta item\n- Gamma item'
+    ]);
+  });
+});
+
+describe('Change Detection', () => {
+  const before = {
+    title: 'Refund Policy',
+    metadata: { url: 'https://example.com/refunds', scrapedAt: '2024-01-01T00:00:00.000Z' },
+    sections: [
+      { type: 'h1', content: 'Refund Policy' },
+      { type: 'paragraph', content: 'Refunds are available within 30 days of purchase for all plans.' },
+      { type: 'h2', content: 'Exceptions' },
+      { type: 'bullet-list', items: ['Gift cards', 'Downloads'] },
+      { type: 'paragraph', content: 'Contact support by phone.' }
+    ]
+  };
+  const after = {
+    ...before,
+    metadata: { ...before.metadata, scrapedAt: '2024-02-01T00:00:00.000Z' },
+    sections: [
+      { type: 'h1', content: 'Refund Policy' },
+      { type: 'paragraph', content: 'Refunds are available within 14 days of purchase for all plans.' },
+      { type: 'h2', content: 'Exceptions' },
+      { type: 'bullet-list', items: ['Gift cards', 'Downloads'] },
+      { type: 'paragraph', content: 'Annual plans are refunded pro rata.' }
+    ]
+  };
+
+  it('should report unchanged content', () => {
+    const diff = diffContent(before, before);
+
+    expect(diff).toMatchObject({ changed: false, similarity: 1, changes: [] });
+    expect(diff.summary).toEqual({ added: 0, removed: 0, modified: 0, unchanged: 5 });
+  });
+
+  it('should only word-diff plausible pairs when comparing large pages', () => {
+    const page = (prefix) => ({
+      title: 'Archive',
+      metadata: { url: 'https://example.com/archive' },
+      sections: Array.from({ length: 1200 }, (_, i) => ({
+        type: 'paragraph',
+        content: Array.from({ length: 30 }, (_, j) => `${prefix}${i}x${j}`).join(' ')
+      }))
+    });
+    const edited = page('old');
+    edited.sections[600] = { type: 'paragraph', content: `${page('old').sections[600].content} appended` };
+
+    const diff = diffContent(page('old'), { ...page('new'), sections: [...page('new').sections, edited.sections[600]] });
+
+    expect(diff.summary).toEqual({ added: 1200, removed: 1199, modified: 1, unchanged: 0 });
+    expect(diff.changes.find(change => change.type === 'modified')).toMatchObject({ beforeIndex: 600, afterIndex: 1200 });
+  });
+
+  it('should classify added, removed and modified sections with word diffs', () => {
+    const diff = diffContent(before, after);
+
+    expect(diff.changed).toBe(true);
+    expect(diff.summary).toEqual({ added: 1, removed: 1, modified: 1, unchanged: 3 });
+    expect(diff.changes.map(change => change.type)).toEqual(['modified', 'removed', 'added']);
+    expect(diff.changes[0]).toMatchObject({
+      headingPath: ['Refund Policy'],
+      beforeIndex: 1,
+      afterIndex: 1,
+      words: [
+        { type: 'equal', text: 'Refunds are available within' },
+        { type: 'delete', text: '30' },
+        { type: 'insert', text: '14' },
+        { type: 'equal', text: 'days of purchase for all plans.' }
+      ]
+    });
+    expect(diff.changes[0].similarity).toBeCloseTo(10 / 11);
+    expect(diff.changes[2]).toEqual({
+      type: 'added',
+      headingPath: ['Refund Policy', 'Exceptions'],
+      afterIndex: 4,
+      after: { type: 'paragraph', content: 'Annual plans are refunded pro rata.' }
+    });
+    expect(diff.similarity).toBeGreaterThan(0.5);
+    expect(diff.similarity).toBeLessThan(1);
+  });
+
+  it('should pair renamed headings of any level but not unrelated sections', () => {
+    const renamed = { ...before, sections: [before.sections[0], { type: 'h2', content: 'Refund exceptions' }, ...before.sections.slice(3)] };
+    const updated = { ...before, sections: [before.sections[0], { type: 'h3', content: 'Refund exclusions' }, before.sections[3], before.sections[1]] };
+    const diff = diffContent(renamed, updated);
+
+    expect(diff.changes.map(({ type, before: old, after: now }) => [type, (now || old).type])).toEqual([
+      ['modified', 'h3'],
+      ['removed', 'paragraph'],
+      ['added', 'paragraph']
+    ]);
+    expect(diff.changes[0].words).toEqual([
+      { type: 'equal', text: 'Refund' },
+      { type: 'delete', text: 'exceptions' },
+      { type: 'insert', text: 'exclusions' }
+    ]);
+  });
+
+  it('should render Markdown and JSON reports', () => {
+    const diff = diffContent(before, { ...after, title: 'Refunds' });
+    const markdown = generateDiffMarkdown(diff);
+
+    expect(markdown).toContain('# Changes: Refunds');
+    expect(markdown).toContain('- **Title:** Refund Policy → Refunds');
+    expect(markdown).toContain('- **Sections:** 1 added, 1 removed, 1 modified, 3 unchanged');
+    expect(markdown).toContain('## Modified (Refund Policy)\n\nRefunds are available within [-30-] {+14+} days of purchase for all plans.');
+    expect(markdown).toContain('## Removed (Refund Policy > Exceptions)\n\n> Contact support by phone.');
+    expect(JSON.parse(generateDiffJSON(diff))).toEqual(diff);
+    expect(generateDiffMarkdown(diffContent(before, before))).toContain('No changes.');
+  });
+
+  it('should save and reload snapshots', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'web-content-llm-snapshot-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const file = join(dir, 'snapshots', 'refunds.json');
+      await saveSnapshot(before, file);
+
+      expect(await loadSnapshot(file)).toEqual(before);
+      expect(diffContent(await loadSnapshot(file), after).summary.modified).toBe(1);
+
+      // Sections of custom types, e.g. from site rule extractors, round-trip too
+      const custom = { ...before, sections: [...before.sections, { type: 'callout', content: 'Note: prices exclude VAT.' }] };
+      await saveSnapshot(custom, file);
+      expect(await loadSnapshot(file)).toEqual(custom);
+      expect(validateContent(JSON.parse(await readFile(file, 'utf-8'))).valid).toBe(false);
+
+      await writeFile(file, JSON.stringify({ schemaVersion: SCHEMA_VERSION, title: 'Broken' }));
+      await expect(loadSnapshot(file)).rejects.toThrow(/Invalid snapshot .*metadata/);
+    } finally {
+      vi.restoreAllMocks();
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('HTML Generation', () => {
   const mockContent = {
     title: 'Test Article',
     metadata: {
@@ -289,10 +1590,21 @@ describe('HTML Generation', () => {
     const html = generateHTML(mockContent);
 
     expect(html).toContain('<!DOCTYPE html>');
-    expect(html).toContain('<html lang="de">');
+    expect(html).toContain('<html lang="en">');
     expect(html).toContain('</html>');
   });
 
+  it('should localise labels, dates and lang from the locale option or the page language', () => {
+    const german = generateHTML({ ...mockContent, metadata: { ...mockContent.metadata, language: 'de-AT' } });
+    expect(german).toContain('<html lang="de-AT">');
+    expect(german).toContain('<p>Quelle: https://example.com/article</p>');
+    expect(german).toMatch(/<p>Generiert am: \d+\. \S+ \d{4}<\/p>/);
+
+    const english = generateHTML({ ...mockContent, metadata: { ...mockContent.metadata, language: 'de' } }, { locale: 'en-GB' });
+    expect(english).toContain('<html lang="en-GB">');
+    expect(english).toContain('<p>Source: https://example.com/article</p>');
+  });
+
   it('should escape HTML in content', () => {
     const html = generateHTML(mockContent);
 
@@ -321,6 +1633,13 @@ describe('Section Rendering', () => {
     expect(result).toBe('<h1>Title</h1>');
   });
 
+  it('should render every heading level', () => {
+    expect(renderSection({ type: 'h5', content: 'Minor' })).toBe('<h5>Minor</h5>');
+    expect(renderSection({ type: 'h6', content: 'Fine <print>' })).toBe('<h6>Fine &lt;print&gt;</h6>');
+    const content = { title: 'Page', metadata: { url: 'https://example.com' }, sections: [{ type: 'h5', content: 'Deep heading' }] };
+    expect(generateHTML(content)).toContain('<h5>Deep heading</h5>');
+  });
+
   it('should render paragraph section', () => {
     const section = { type: 'paragraph', content: 'Text' };
     const result = renderSection(section);
@@ -354,3 +1673,992 @@ describe('Section Rendering', () => {
     expect(result).toBe('');
   });
 });
+
+
+describe('Export', () => {
+  let outputDir;
+  let server;
+
+  beforeEach(async () => {
+    outputDir = await mkdtemp(join(tmpdir(), 'web-content-llm-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    return async () => {
+      vi.restoreAllMocks();
+      await server?.close();
+      await rm(outputDir, { recursive: true, force: true });
+    };
+  });
+
+  it('should download images next to markdown output and rewrite references', async () => {
+    server = await startFixtureServer({
+      '/post': '<main><p>Intro text</p><img src="/chart" alt="Chart"></main>',
+      '/chart': { headers: { 'Content-Type': 'image/png' }, body: 'png-bytes' }
+    });
+
+    const outputPath = join(outputDir, 'post.md');
+    const content = await exportContent(`${server.url}/post`, outputPath, { downloadImages: true });
+
+    const markdown = await readFile(outputPath, 'utf-8');
+    expect(markdown).toContain('![Chart](post-assets/image-1.png)');
+    expect(await readFile(join(outputDir, 'post-assets', 'image-1.png'), 'utf-8')).toBe('png-bytes');
+    expect(content.sections).toContainEqual({ type: 'image', src: `${server.url}/chart`, alt: 'Chart' });
+    expect(content.metadata.extraction.mode).toBe('selector');
+  });
+
+  it('should export local HTML files without fetching', async () => {
+    const inputPath = join(outputDir, 'saved.html');
+    await writeFile(inputPath, '<main><h1>Saved</h1><p>Offline copy with an <a href="other.html">other page</a>.</p></main>');
+
+    const content = await exportContent(pathToFileURL(inputPath).href, join(outputDir, 'saved.md'), {
+      baseUrl: 'https://example.com/docs/saved.html'
+    });
+
+    expect(content.metadata).toMatchObject({ url: 'https://example.com/docs/saved.html', render: 'file' });
+    expect(await readFile(join(outputDir, 'saved.md'), 'utf-8'))
+      .toContain('[other page](https://example.com/docs/other.html)');
+  });
+
+  it('should export every HTML file of a local directory', async () => {
+    const inputDir = join(outputDir, 'site');
+    await mkdir(join(inputDir, 'guide'), { recursive: true });
+    await writeFile(join(inputDir, 'index.html'), '<main><h1>Home</h1><p>Welcome to the <a href="guide/intro.html">guide</a>.</p></main>');
+    await writeFile(join(inputDir, 'guide', 'intro.htm'), '<main><h1>Intro</h1><p>Back <a href="../index.html">home</a>.</p></main>');
+    await writeFile(join(inputDir, 'notes.txt'), 'not html');
+
+    const outDir = join(outputDir, 'out');
+    const result = await exportContent(pathToFileURL(inputDir).href, outDir, { baseUrl: 'https://example.com/site' });
+
+    expect(result.pages.map(page => [page.status, page.title])).toEqual([['ok', 'Intro'], ['ok', 'Home']]);
+    expect(await readFile(join(outDir, 'guide', 'intro.md'), 'utf-8')).toContain('Back [home](https://example.com/site/index.html).');
+    expect(await readFile(join(outDir, 'index.md'), 'utf-8')).toContain('[guide](https://example.com/site/guide/intro.html)');
+  });
+
+  it('should detect JSON and JSONL output from the file extension', async () => {
+    server = await startFixtureServer({
+      '/post': '<main><h1>Post</h1><p>Intro text</p></main>'
+    });
+
+    await exportContent(`${server.url}/post`, join(outputDir, 'post.json'));
+    await exportContent(`${server.url}/post`, join(outputDir, 'post.jsonl'));
+
+    const document = JSON.parse(await readFile(join(outputDir, 'post.json'), 'utf-8'));
+    expect(validateContent(document).valid).toBe(true);
+    expect(document.sections).toEqual([{ type: 'h1', content: 'Post' }, { type: 'paragraph', content: 'Intro text' }]);
+
+    const lines = (await readFile(join(outputDir, 'post.jsonl'), 'utf-8')).trim().split('\n');
+    expect(JSON.parse(lines[1])).toMatchObject({ url: `${server.url}/post`, headingPath: ['Post'] });
+  });
+
+  it('should export standalone HTML with inlined images', async () => {
+    server = await startFixtureServer({
+      '/post': '<main><h1>Post</h1><p>Intro text</p><img src="/chart" alt="Chart"></main>',
+      '/chart': { headers: { 'Content-Type': 'image/png' }, body: 'png-bytes' }
+    });
+
+    await exportContent(`${server.url}/post`, join(outputDir, 'post.html'), { inlineImages: true });
+    const html = await readFile(join(outputDir, 'post.html'), 'utf-8');
+    expect(html).toContain('<!DOCTYPE html>');
+    expect(html).toContain('<p>Intro text</p>');
+    expect(html).toContain(`src="data:image/png;base64,${Buffer.from('png-bytes').toString('base64')}"`);
+
+    const content = await scrapeContent(`${server.url}/post`);
+    const inlined = await inlineImages(content);
+    expect(inlined.sections[2].src).toMatch(/^data:image\/png;base64,/);
+    expect(content.sections[2].src).toBe(`${server.url}/chart`);
+  });
+});
+
+describe('EPUB Export', () => {
+  let outputDir;
+  let server;
+
+  const page = (title, url, sections) => ({ title, metadata: { url, siteName: 'Docs' }, sections });
+
+  beforeEach(async () => {
+    outputDir = await mkdtemp(join(tmpdir(), 'web-content-llm-epub-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    return async () => {
+      vi.restoreAllMocks();
+      await server?.close();
+      await rm(outputDir, { recursive: true, force: true });
+    };
+  });
+
+  it('should package pages as chapters with a navigation document from h1-h3', () => {
+    const book = readZip(generateEPUB([
+      page('Intro', 'https://example.com/intro', [
+        { type: 'h1', content: 'Intro' },
+        { type: 'h2', content: 'Setup' },
+        { type: 'h3', content: 'Install' },
+        { type: 'h4', content: 'Details' },
+        { type: 'paragraph', content: 'Run the <installer> & wait.' }
+      ]),
+      page('Usage', 'https://example.com/usage', [{ type: 'h2', content: 'Commands' }])
+    ], { author: 'Docs Team' }));
+
+    expect([...book.keys()].slice(0, 2)).toEqual(['mimetype', 'META-INF/container.xml']);
+    expect(book.get('mimetype').toString()).toBe('application/epub+zip');
+
+    const opf = book.get('OEBPS/content.opf').toString();
+    expect(opf).toContain('<dc:title>Docs</dc:title>');
+    expect(opf).toContain('<dc:creator>Docs Team</dc:creator>');
+    expect(opf).toMatch(/<itemref idref="chapter-1"\/>\s*<itemref idref="chapter-2"\/>/);
+
+    const $ = cheerio.load(book.get('OEBPS/nav.xhtml').toString(), { xml: true });
+    const toc = $('nav > ol > li').map((i, item) => $(item).children('a').attr('href')).get();
+    expect(toc).toEqual(['chapter-1.xhtml', 'chapter-2.xhtml']);
+    expect($('nav a').map((i, link) => $(link).text()).get()).toEqual(['Intro', 'Setup', 'Install', 'Usage', 'Commands']);
+    expect($('nav > ol > li:first-child > ol > li > ol a').attr('href')).toBe('chapter-1.xhtml#heading-3');
+
+    const chapter = book.get('OEBPS/chapter-1.xhtml').toString();
+    expect(chapter).toContain('<h3 id="heading-3">Install</h3>');
+    expect(chapter).toContain('<p>Run the &lt;installer&gt; &amp; wait.</p>');
+    expect(chapter.match(/<h1/g)).toHaveLength(1);
+    expect(book.get('OEBPS/chapter-2.xhtml').toString()).toContain('<h1>Usage</h1>');
+  });
+
+  it('should export a page to .epub and many pages into one book', async () => {
+    server = await startFixtureServer({
+      '/a': '<main><h1>A</h1><p>Text of page A.</p><img src="/chart" alt="Chart"></main>',
+      '/b': '<main><h1>B</h1><p>Text of page B.</p></main>',
+      '/empty': '<html><body></body></html>',
+      '/chart': { headers: { 'Content-Type': 'image/png' }, body: 'png-bytes' }
+    });
+
+    await exportContent(`${server.url}/a`, join(outputDir, 'a.epub'));
+    const single = readZip(await readFile(join(outputDir, 'a.epub')));
+    expect(single.get('OEBPS/images/image-1.png').toString()).toBe('png-bytes');
+    expect(single.get('OEBPS/chapter-1.xhtml').toString()).toContain('src="images/image-1.png"');
+
+    const outputPath = join(outputDir, 'book.epub');
+    const { pages } = await exportEPUB([`${server.url}/b`, `${server.url}/empty`, `${server.url}/a`], outputPath, { title: 'Collected' });
+    expect(pages.map(result => result.status)).toEqual(['ok', 'error', 'ok']);
+
+    const book = readZip(await readFile(outputPath));
+    expect(book.get('OEBPS/content.opf').toString()).toContain('<dc:title>Collected</dc:title>');
+    expect(book.get('OEBPS/chapter-1.xhtml').toString()).toContain('Text of page B.');
+    expect(book.get('OEBPS/chapter-2.xhtml').toString()).toContain('Text of page A.');
+    expect(book.has('OEBPS/chapter-3.xhtml')).toBe(false);
+
+    await expect(exportEPUB([`${server.url}/empty`], outputPath)).rejects.toMatchObject({ code: 'ERR_NO_CONTENT' });
+  });
+
+  it('should not send credentials to image hosts of other origins', async () => {
+    const images = await startFixtureServer({
+      '/chart.png': { headers: { 'Content-Type': 'image/png' }, body: 'png-bytes' }
+    });
+    server = await startFixtureServer({
+      '/a': `<main><h1>A</h1><p>Text of page A.</p><img src="${images.url}/chart.png" alt="Chart"></main>`
+    });
+    const options = { auth: { bearer: 'token-123' }, headers: { 'X-Trace': 'abc' } };
+
+    try {
+      await exportEPUB([`${server.url}/a`], join(outputDir, 'book.epub'), options);
+      await exportContent(`${server.url}/a`, join(outputDir, 'a.html'), { ...options, inlineImages: true });
+    } finally {
+      await images.close();
+    }
+
+    expect(server.requests.every(request => request.headers.authorization === 'Bearer token-123')).toBe(true);
+    expect(images.requests).toHaveLength(2);
+    for (const { headers } of images.requests) {
+      expect(headers.authorization).toBeUndefined();
+      expect(headers['x-trace']).toBeUndefined();
+    }
+  });
+});
+
+describe('Streaming', () => {
+  const CHANGELOG = `<main><h1>Changelog</h1>${
+    Array.from({ length: 50 }, (_, i) => `<h2>Version ${50 - i}.0</h2><p>Fixes and improvements in release ${50 - i}, see <a href="/v${50 - i}">notes</a>.</p>`).join('')
+  }</main>`;
+  let outputDir;
+  let server;
+
+  beforeEach(async () => {
+    outputDir = await mkdtemp(join(tmpdir(), 'web-content-llm-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    server = await startFixtureServer({ '/changelog': CHANGELOG });
+    return async () => {
+      vi.restoreAllMocks();
+      await server.close();
+      await rm(outputDir, { recursive: true, force: true });
+    };
+  });
+
+  it('should yield the sections of scrapeContent one at a time', async () => {
+    const url = `${server.url}/changelog`;
+    const content = await streamContent(url);
+
+    const sections = [];
+    for await (const section of content.sections) sections.push(section);
+
+    expect(content.title).toBe('Changelog');
+    expect(sections).toEqual((await scrapeContent(url)).sections);
+    expect(content.stats()).toMatchObject({ sections: 101, truncated: false });
+  });
+
+  it('should stop after maxSections or maxTokens without extracting the rest', async () => {
+    let extracted = 0;
+    const extractors = { p: () => { extracted++; } };
+    const content = await streamContent(`${server.url}/changelog`, { maxSections: 3, extractors });
+
+    const types = [];
+    for await (const section of content.sections) types.push(section.type);
+    expect(types).toEqual(['h1', 'h2', 'paragraph']);
+    expect(content.stats()).toEqual({ sections: 3, tokens: expect.any(Number), truncated: true });
+    expect(extracted).toBe(1);
+
+    const words = (text) => text.split(/\s+/).filter(Boolean).length;
+    const limited = await streamContent(`${server.url}/changelog`, { maxTokens: 20, tokenizer: words });
+    for await (const section of limited.sections) section;
+    expect(limited.stats()).toEqual({ sections: 4, tokens: 17, truncated: true });
+  });
+
+  it('should write Markdown and text exports section by section', async () => {
+    const url = `${server.url}/changelog`;
+    const outputPath = join(outputDir, 'changelog.md');
+    const options = { stream: true, linkStyle: 'reference', footerText: 'Streamed' };
+
+    const result = await exportContent(url, outputPath, options);
+    expect(result.stats).toMatchObject({ sections: 101, truncated: false });
+    expect(await readFile(outputPath, 'utf-8')).toBe(generateMarkdown(await scrapeContent(url), options));
+
+    const textPath = join(outputDir, 'changelog.txt');
+    const { stats } = await exportContent(url, textPath, { stream: true, maxSections: 5 });
+    const text = await readFile(textPath, 'utf-8');
+    expect(stats).toMatchObject({ sections: 5, truncated: true });
+    expect(text).toContain('Version 49.0\n---');
+    expect(text).not.toContain('Version 48.0');
+
+    await expect(exportContent(url, join(outputDir, 'changelog.json'), { stream: true }))
+      .rejects.toThrow('Unsupported streaming format: json');
+  });
+
+  it('should only look for near-duplicates among recent sections', async () => {
+    const notice = (date) => `<p>This page was last reviewed on ${date} by the release team.</p>`;
+    const notes = Array.from({ length: 60 }, (_, i) => `<p>Release note number ${i} mentions feature ${i} only here.</p>`);
+    server.routes['/long'] = `<main>${notice('May 1, 2024')}${notes.join('')}${notice('May 2, 2024')}${notice('May 3, 2024')}</main>`;
+
+    const content = await streamContent(`${server.url}/long`);
+    const sections = [];
+    for await (const section of content.sections) sections.push(section);
+
+    // The first repeat is too far from the original, the second one is close to the first
+    expect(sections).toHaveLength(62);
+    expect(sections[61].content).toContain('May 2, 2024');
+    expect((await scrapeContent(`${server.url}/long`)).sections).toHaveLength(61);
+  });
+
+  it('should render streamed content as Markdown chunks', async () => {
+    const content = await streamContent(`${server.url}/changelog`, { maxSections: 2 });
+    const chunks = [];
+    for await (const chunk of renderContentStream(content, { footerText: 'End' })) chunks.push(chunk);
+
+    expect(chunks).toHaveLength(4);
+    expect(chunks[0]).toMatch(/^# Changelog\n\n\*\*Source:\*\* /);
+    expect(chunks.slice(1)).toEqual(['# Changelog\n', '\n## Version 50.0\n', '\n---\n\nEnd\n']);
+  });
+
+  it('should parse selector-mode pages while they arrive', async () => {
+    const start = '<html lang="en"><head><title>Guide</title><meta name="description" content="A guide">' +
+      '</head><body><nav><a href="/">Home</a></nav><main><h1>Guide</h1><p>The first part arrives on its own.</p>';
+    const rest = '<div><ul><li>One</li><li>Two</li></ul><table><tr><th>Key</th></tr><tr><td>Value</td></tr></table></div>' +
+      '<figure><img src="/a.png" alt="A"><figcaption>A figure</figcaption></figure><pre><code>npm test</code></pre>' +
+      '<p>The first part arrives on its own.</p><p>See <a href="/next">the next page</a>.</p></main><footer>Footer</footer></body></html>';
+    let finish;
+    server.routes['/guide'] = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.write(start);
+      finish = () => res.end(rest);
+    };
+    server.routes['/whole'] = start + rest;
+
+    const content = await streamContent(`${server.url}/guide`, { contentMode: 'selector' });
+    expect(content.title).toBe('Guide');
+    expect(content.metadata).toMatchObject({ description: 'A guide', language: 'en', extraction: { mode: 'selector' } });
+
+    // The sections of the first part don't wait for the rest of the page
+    const sections = [];
+    for (let i = 0; i < 2; i++) sections.push((await content.sections.next()).value);
+    finish();
+    for await (const section of content.sections) sections.push(section);
+
+    const whole = await scrapeContent(`${server.url}/whole`, { contentMode: 'selector' });
+    expect(sections).toEqual(whole.sections);
+    expect({ ...content.metadata, scrapedAt: null }).toEqual({ ...whole.metadata, url: `${server.url}/guide`, scrapedAt: null });
+  });
+
+  it('should close the response when a selector-mode stream stops early', async () => {
+    const closed = new Promise((resolve) => {
+      server.routes['/endless'] = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.write(`<main><h1>Endless</h1>${Array.from({ length: 10 }, (_, i) => `<p>Paragraph ${i} keeps the page growing.</p>`).join('')}`);
+        res.on('close', resolve);
+      };
+    });
+
+    const content = await streamContent(`${server.url}/endless`, { contentMode: 'selector', maxSections: 3 });
+    const sections = [];
+    for await (const section of content.sections) sections.push(section);
+
+    expect(sections.map(section => section.type)).toEqual(['h1', 'paragraph', 'paragraph']);
+    await closed;
+  });
+});
+
+describe('Fetch Options', () => {
+  const page = '<main><h1>Fetched</h1><p>Some content that was fetched over HTTP.</p></main>';
+  let server;
+
+  // Every test starts its own server
+  beforeEach(async () => {
+    server = undefined;
+    return async () => {
+      await server?.close();
+    };
+  });
+
+  it('should send custom headers, user agent and auth without a hard-coded language', async () => {
+    server = await startFixtureServer({ '/page': page, '/basic': page });
+
+    await scrapeContent(`${server.url}/page`, {
+      userAgent: 'DocsBot/1.0',
+      headers: { 'Accept-Language': 'fr-FR', 'X-Trace': 'abc' },
+      auth: { bearer: 'token-123' }
+    });
+    await scrapeContent(`${server.url}/basic`, { auth: { username: 'user', password: 'secret' } });
+
+    const [custom, basic] = server.requests.map(request => request.headers);
+    expect(custom).toMatchObject({
+      'user-agent': 'DocsBot/1.0',
+      'accept-language': 'fr-FR',
+      'x-trace': 'abc',
+      authorization: 'Bearer token-123'
+    });
+    expect(basic.authorization).toBe(`Basic ${Buffer.from('user:secret').toString('base64')}`);
+    expect(basic['accept-language']).toBeUndefined();
+  });
+
+  it('should only send auth and custom headers to the origin of the page', async () => {
+    const other = await startFixtureServer({
+      '/chart.png': { headers: { 'Content-Type': 'image/png' }, body: 'png-bytes' },
+      '/robots.txt': { headers: { 'Content-Type': 'text/plain' }, body: '' },
+      '/elsewhere': page
+    });
+    server = await startFixtureServer({
+      '/robots.txt': { headers: { 'Content-Type': 'text/plain' }, body: '' },
+      '/post': `<main><h1>Post</h1><p>Some content with <a href="${other.url}/elsewhere">a link</a>.</p>
+        <img src="/logo.png" alt="Logo"><img src="${other.url}/chart.png" alt="Chart"></main>`,
+      '/logo.png': { headers: { 'Content-Type': 'image/png' }, body: 'logo-bytes' }
+    });
+    const outputDir = await mkdtemp(join(tmpdir(), 'web-content-llm-auth-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const options = { auth: { bearer: 'token-123' }, headers: { 'X-Trace': 'abc' }, userAgent: 'DocsBot/1.0' };
+
+    try {
+      await exportContent(`${server.url}/post`, join(outputDir, 'post.md'), { ...options, downloadImages: true });
+      await crawlSite(`${server.url}/post`, { ...options, outDir: join(outputDir, 'crawl'), scope: 'any', maxDepth: 1 });
+    } finally {
+      vi.restoreAllMocks();
+      await other.close();
+      await rm(outputDir, { recursive: true, force: true });
+    }
+
+    const sent = (requests, path) => requests.filter(request => request.url === path).map(request => request.headers);
+    expect(sent(server.requests, '/post')[0]).toMatchObject({ authorization: 'Bearer token-123', 'x-trace': 'abc' });
+    expect(sent(server.requests, '/logo.png')[0]).toMatchObject({ authorization: 'Bearer token-123' });
+    expect(other.requests.map(request => request.url)).toEqual(expect.arrayContaining(['/chart.png', '/robots.txt', '/elsewhere']));
+    for (const headers of other.requests.map(request => request.headers)) {
+      expect(headers.authorization).toBeUndefined();
+      expect(headers['x-trace']).toBeUndefined();
+      expect(headers['user-agent']).toBe('DocsBot/1.0');
+    }
+  });
+
+  it('should choose credentials and cookies again for every redirect', async () => {
+    const other = await startFixtureServer({ '/moved': { headers: { 'Set-Cookie': 'other=1' }, body: page } });
+    server = await startFixtureServer({
+      '/old': { status: 301, headers: { Location: '/new', 'Set-Cookie': 'session=abc' } },
+      '/new': { status: 302, headers: { Location: `${other.url}/moved` } }
+    });
+    const cookieJar = createCookieJar();
+
+    try {
+      const content = await scrapeContent(`${server.url}/old`, {
+        headers: { 'X-Api-Key': 'secret' },
+        auth: { bearer: 'token-123' },
+        cookieJar
+      });
+      expect(content.sections[0].content).toBe('Fetched');
+      expect(content.metadata).toMatchObject({ url: `${other.url}/moved`, redirectedFrom: `${server.url}/old` });
+    } finally {
+      await other.close();
+    }
+
+    const [old, moved] = server.requests.map(request => request.headers);
+    expect(old).toMatchObject({ 'x-api-key': 'secret', authorization: 'Bearer token-123' });
+    expect(moved).toMatchObject({ 'x-api-key': 'secret', cookie: 'session=abc' });
+    expect(other.requests[0].headers['x-api-key']).toBeUndefined();
+    expect(other.requests[0].headers.authorization).toBeUndefined();
+    // Cookies are scoped by host, not port, so both servers share them
+    expect(cookieJar.getCookieString(`${other.url}/`).split('; ')).toEqual(['session=abc', 'other=1']);
+  });
+
+  it('should retry 429 and 5xx responses with backoff and Retry-After', async () => {
+    let attempts = 0;
+    server = await startFixtureServer({
+      '/flaky': (req, res) => {
+        attempts++;
+        if (attempts === 1) res.writeHead(503, { 'Retry-After': '0' });
+        else if (attempts === 2) res.writeHead(429);
+        else res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(attempts > 2 ? page : '');
+      },
+      '/down': { status: 500, body: 'error' },
+      '/gone': { status: 404, body: 'gone' }
+    });
+
+    const content = await scrapeContent(`${server.url}/flaky`, { retryDelay: 10 });
+    expect(content.sections[0]).toEqual({ type: 'h1', content: 'Fetched' });
+    expect(attempts).toBe(3);
+
+    await expect(scrapeContent(`${server.url}/down`, { retries: 1, retryDelay: 10 }))
+      .rejects.toMatchObject({ response: { status: 500 } });
+    await expect(scrapeContent(`${server.url}/gone`, { retryDelay: 10 })).rejects.toThrow();
+    expect(server.requests.filter(request => request.url === '/down')).toHaveLength(2);
+    expect(server.requests.filter(request => request.url === '/gone')).toHaveLength(1);
+  });
+
+  it('should time out slow responses', async () => {
+    server = await startFixtureServer({ '/slow': (req, res) => setTimeout(() => res.end(page), 500) });
+    await expect(scrapeContent(`${server.url}/slow`, { timeout: 50 })).rejects.toMatchObject({ code: 'ECONNABORTED' });
+  });
+
+  it('should rate limit requests per host', async () => {
+    server = await startFixtureServer({ '/a': page, '/b': page, '/c': page });
+
+    await Promise.all(['/a', '/b', '/c'].map(path => scrapeContent(`${server.url}${path}`, { rateLimit: 10 })));
+
+    const times = server.requests.map(request => request.time).sort((a, b) => a - b);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(90);
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(90);
+  });
+
+  it('should keep cookies in a jar across requests', async () => {
+    server = await startFixtureServer({
+      '/login': { headers: { 'Set-Cookie': ['session=abc; Path=/; HttpOnly', 'theme=dark; Path=/settings'] }, body: page },
+      '/account': page
+    });
+    const cookieJar = createCookieJar();
+
+    await scrapeContent(`${server.url}/login`, { cookieJar });
+    await scrapeContent(`${server.url}/account`, { cookieJar });
+
+    expect(server.requests[0].headers.cookie).toBeUndefined();
+    expect(server.requests[1].headers.cookie).toBe('session=abc');
+  });
+
+  it('should match cookies by domain, path, secure flag and expiry', () => {
+    const jar = createCookieJar();
+    jar.setCookie('a=1; Domain=example.com; Path=/docs', 'https://www.example.com/docs/intro');
+    jar.setCookie('b=2; Secure', 'https://example.com/');
+    jar.setCookie('c=3; Max-Age=0', 'https://example.com/');
+    jar.setCookie('d=4; Domain=other.com', 'https://example.com/');
+
+    expect(jar.getCookieString('https://api.example.com/docs/v1')).toBe('a=1');
+    expect(jar.getCookieString('https://example.com/docsify')).toBe('b=2');
+    expect(jar.getCookieString('http://example.com/')).toBe('');
+    expect(jar.cookies().map(cookie => cookie.name)).toEqual(['a', 'b']);
+  });
+
+  it('should send requests through an HTTP proxy', async () => {
+    server = await startFixtureServer({ 'http://docs.example.test/page': page });
+
+    const content = await scrapeContent('http://docs.example.test/page', { proxy: server.url });
+
+    expect(content.sections[0]).toEqual({ type: 'h1', content: 'Fetched' });
+    expect(server.requests[0].headers.host).toBe('docs.example.test');
+  });
+});
+
+describe('Character Encoding', () => {
+  // "日本語のページ" in Shift_JIS, "Café crème" in windows-1252, "中文" in GBK
+  const shiftJis = Buffer.from('93fa967b8cea82cc8379815b8357', 'hex');
+  const cafe = Buffer.from('436166e9206372e86d65', 'hex');
+  const chinese = Buffer.from('d6d0cec4', 'hex');
+  const html = (head, body) => Buffer.concat([Buffer.from(`<html${head}><body><main><h1>`, 'latin1'), body, Buffer.from('</h1><p>Paragraph text for the page.</p></main></body></html>', 'latin1')]);
+  let server;
+
+  // Every test starts its own server
+  beforeEach(async () => {
+    server = undefined;
+    return async () => {
+      await server?.close();
+    };
+  });
+
+  it('should detect the encoding from BOM, header, meta tags and sniffing', () => {
+    const bytes = (text) => Buffer.from(text, 'latin1');
+
+    expect(detectEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x41]), 'text/html; charset=iso-8859-1'))
+      .toEqual({ encoding: 'utf-8', source: 'bom' });
+    expect(detectEncoding(bytes('<meta charset="utf-8">'), 'text/html; charset=Shift_JIS'))
+      .toEqual({ encoding: 'shift_jis', source: 'header' });
+    expect(detectEncoding(bytes('<head><meta charset="ISO-8859-2">'), 'text/html'))
+      .toEqual({ encoding: 'iso-8859-2', source: 'meta' });
+    expect(detectEncoding(bytes('<meta http-equiv="Content-Type" content="text/html; charset=latin1">')))
+      .toEqual({ encoding: 'windows-1252', source: 'meta' });
+    expect(detectEncoding(bytes('<meta charset="utf-16">')).encoding).toBe('utf-8');
+    expect(detectEncoding(Buffer.from('<p>Grüße</p>'))).toEqual({ encoding: 'utf-8', source: 'sniffed' });
+    expect(detectEncoding(html(' lang="ja"', shiftJis))).toEqual({ encoding: 'shift_jis', source: 'sniffed' });
+    expect(detectEncoding(html('', cafe))).toEqual({ encoding: 'windows-1252', source: 'sniffed' });
+  });
+
+  it('should decode fetched pages and record the encoding', async () => {
+    server = await startFixtureServer({
+      '/sjis': { headers: { 'Content-Type': 'text/html; charset=Shift_JIS' }, body: html('', shiftJis) },
+      '/cp1252': {
+        headers: { 'Content-Type': 'text/html' },
+        body: Buffer.concat([Buffer.from('<head><meta http-equiv="Content-Type" content="text/html; charset=windows-1252"></head>'), html('', cafe)])
+      },
+      '/gbk': { headers: { 'Content-Type': 'text/html' }, body: html(' lang="zh-CN"', chinese) }
+    });
+
+    const japanese = await scrapeContent(`${server.url}/sjis`);
+    expect(japanese.title).toBe('日本語のページ');
+    expect(japanese.metadata.encoding).toBe('shift_jis');
+
+    const french = await scrapeContent(`${server.url}/cp1252`);
+    expect(french.title).toBe('Café crème');
+    expect(french.metadata.encoding).toBe('windows-1252');
+
+    const cacheDir = await mkdtemp(join(tmpdir(), 'web-content-llm-cache-'));
+    try {
+      await scrapeContent(`${server.url}/gbk`, { cacheDir });
+      const cached = await scrapeContent(`${server.url}/gbk`, { cacheDir, cacheOnly: true });
+      expect(cached.title).toBe('中文');
+      expect(cached.metadata.encoding).toBe('gbk');
+    } finally {
+      await rm(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should decode raw bytes passed to extractFromHTML', () => {
+    const content = extractFromHTML(html('', shiftJis), { contentType: 'text/html; charset=shift_jis' });
+    expect(content.title).toBe('日本語のページ');
+    expect(content.metadata.encoding).toBe('shift_jis');
+  });
+});
+
+describe('HTTP Cache', () => {
+  const page = '<main><h1>Cached</h1><p>Content worth caching between runs.</p></main>';
+  let cacheDir;
+  let server;
+
+  beforeEach(async () => {
+    cacheDir = await mkdtemp(join(tmpdir(), 'web-content-llm-cache-'));
+    server = await startFixtureServer({
+      '/etag': (req, res) => {
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304, { ETag: '"v1"' });
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html', ETag: '"v1"' });
+        res.end(page);
+      },
+      '/modified': (req, res) => {
+        const lastModified = 'Wed, 15 Jan 2025 12:00:00 GMT';
+        res.writeHead(req.headers['if-modified-since'] === lastModified ? 304 : 200, { 'Last-Modified': lastModified });
+        res.end(req.headers['if-modified-since'] ? undefined : page);
+      },
+      '/fresh': { headers: { 'Cache-Control': 'public, max-age=3600' }, body: page },
+      '/private': { headers: { 'Cache-Control': 'no-store' }, body: page }
+    });
+    return async () => {
+      await server.close();
+      await rm(cacheDir, { recursive: true, force: true });
+    };
+  });
+
+  it('should revalidate stale entries with If-None-Match and If-Modified-Since', async () => {
+    const first = await scrapeContent(`${server.url}/etag`, { cacheDir });
+    const second = await scrapeContent(`${server.url}/etag`, { cacheDir });
+
+    expect(first.metadata.cache.status).toBe('miss');
+    expect(second.metadata.cache.status).toBe('revalidated');
+    expect(second.sections).toEqual(first.sections);
+    expect(server.requests[1].headers['if-none-match']).toBe('"v1"');
+
+    await scrapeContent(`${server.url}/modified`, { cacheDir });
+    const revalidated = await scrapeContent(`${server.url}/modified`, { cacheDir });
+    expect(revalidated.metadata.cache.status).toBe('revalidated');
+    expect(revalidated.sections[1]).toEqual({ type: 'paragraph', content: 'Content worth caching between runs.' });
+  });
+
+  it('should serve fresh entries without a request and key them by normalised URL', async () => {
+    await scrapeContent(`${server.url}/fresh`, { cacheDir });
+    const cached = await scrapeContent(`${server.url}/fresh#section`, { cacheDir });
+
+    expect(cached.metadata.cache).toMatchObject({ status: 'hit', fetchedAt: expect.any(String) });
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it('should serve cached pages offline and fail for uncached ones', async () => {
+    await scrapeContent(`${server.url}/etag`, { cacheDir });
+    await server.close();
+
+    const offline = await scrapeContent(`${server.url}/etag`, { cacheDir, cacheOnly: true });
+    expect(offline.metadata.cache.status).toBe('hit');
+    await expect(scrapeContent(`${server.url}/other`, { cacheDir, cacheOnly: true }))
+      .rejects.toMatchObject({ code: 'ERR_CACHE_MISS' });
+  });
+
+  it('should never render or fetch in cacheOnly mode, whatever the render mode', async () => {
+    await scrapeContent(`${server.url}/etag`, { cacheDir });
+    browser.calls = [];
+    browser.launches = 0;
+
+    const cached = await scrapeContent(`${server.url}/etag`, { cacheDir, cacheOnly: true, render: 'browser' });
+    expect(cached.metadata).toMatchObject({ render: 'static', cache: { status: 'hit' } });
+    await expect(scrapeContent(`${server.url}/other`, { cacheDir, cacheOnly: true, render: 'browser' }))
+      .rejects.toMatchObject({ code: 'ERR_CACHE_MISS' });
+    await expect(streamContent(`${server.url}/fresh`, { cacheOnly: true, contentMode: 'selector' }))
+      .rejects.toMatchObject({ code: 'ERR_CACHE_MISS' });
+
+    expect(browser.launches).toBe(0);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it('should not store no-store responses', async () => {
+    await scrapeContent(`${server.url}/private`, { cacheDir });
+    expect(await readdir(cacheDir).catch(() => [])).toEqual([]);
+    expect((await scrapeContent(`${server.url}/private`)).metadata.cache).toBeUndefined();
+  });
+});
+
+describe('Browser Rendering', () => {
+  let server;
+  const article = '<main><h1>Rendered</h1><p>This paragraph was rendered by client-side JavaScript and is long enough to count.</p></main>';
+
+  beforeEach(async () => {
+    browser.html = `<html><body>${article}</body></html>`;
+    browser.calls = [];
+    server = await startFixtureServer({
+      '/spa': '<html><body><div id="root"></div><script src="/app.js"></script></body></html>',
+      '/static': `<html><body>${article}</body></html>`
+    });
+    return () => server.close();
+  });
+
+  it('should render pages in the browser when requested', async () => {
+    const content = await scrapeContent(`${server.url}/spa`, {
+      render: 'browser',
+      waitForSelector: '#root h1',
+      scroll: true
+    });
+
+    expect(content.metadata.render).toBe('browser');
+    expect(content.sections).toContainEqual({ type: 'h1', content: 'Rendered' });
+    expect(browser.calls).toEqual([
+      ['goto', `${server.url}/spa`, 'networkidle2'],
+      ['waitForSelector', '#root h1'],
+      ['scroll'],
+      ['close']
+    ]);
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it('should fall back to the browser in auto mode when static content is too thin', async () => {
+    const content = await scrapeContent(`${server.url}/spa`, { render: 'auto' });
+
+    expect(content.metadata.render).toBe('browser');
+    expect(content.title).toBe('Rendered');
+    expect(server.requests.map(r => r.url)).toEqual(['/spa']);
+  });
+
+  it('should keep static extraction in auto mode when it finds enough content', async () => {
+    const content = await scrapeContent(`${server.url}/static`, { render: 'auto', minContentLength: 50 });
+
+    expect(content.metadata.render).toBe('static');
+    expect(browser.calls).toHaveLength(0);
+  });
+});
+
+describe('Batch Export', () => {
+  let outputDir;
+  let server;
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const article = (title) => `<html><body><main><h1>${title}</h1><p>Body text of the ${title} page.</p></main></body></html>`;
+  const slow = (title) => (req, res) => {
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    setTimeout(() => {
+      inFlight--;
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(article(title));
+    }, 100);
+  };
+
+  beforeEach(async () => {
+    outputDir = await mkdtemp(join(tmpdir(), 'web-content-llm-many-'));
+    browser.calls = [];
+    browser.launches = 0;
+    browser.html = article('Rendered');
+    maxInFlight = 0;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    server = await startFixtureServer({
+      '/a': slow('A'),
+      '/b': slow('B'),
+      '/c': slow('C'),
+      '/empty': '<html><body></body></html>'
+    });
+    return async () => {
+      vi.restoreAllMocks();
+      await server.close();
+      await rm(outputDir, { recursive: true, force: true });
+    };
+  });
+
+  it('should export concurrently, keep going after failures and report every page', async () => {
+    const events = [];
+    const jobs = ['a', 'missing', 'b', 'empty', 'c'].map(name => ({
+      url: `${server.url}/${name}`,
+      outputPath: join(outputDir, 'pages', `${name}.md`)
+    }));
+
+    const { pages, duration } = await exportMany(jobs, { concurrency: 2, retries: 0, onProgress: event => events.push(event) });
+
+    expect(maxInFlight).toBe(2);
+    expect(pages.map(page => [page.url.slice(server.url.length), page.status])).toEqual([
+      ['/a', 'ok'], ['/missing', 'error'], ['/b', 'ok'], ['/empty', 'error'], ['/c', 'ok']
+    ]);
+    expect(pages[0]).toMatchObject({ title: 'A', outputPath: jobs[0].outputPath, duration: expect.any(Number) });
+    expect(pages[3].error).toMatch(/No content could be extracted/);
+    expect(await readFile(jobs[4].outputPath, 'utf-8')).toContain('Body text of the C page.');
+    expect(duration).toBeGreaterThanOrEqual(0);
+
+    expect(events.filter(event => event.type === 'start')).toHaveLength(5);
+    const done = events.filter(event => event.type === 'done');
+    expect(done.map(event => event.completed)).toEqual([1, 2, 3, 4, 5]);
+    expect(done.find(event => event.index === 1)).toMatchObject({ page: pages[1], error: expect.objectContaining({ response: expect.anything() }) });
+    expect(done.find(event => event.index === 3).error.code).toBe('ERR_NO_CONTENT');
+    expect(browser.launches).toBe(0);
+  });
+
+  it('should not let different URLs overwrite the same output file', async () => {
+    const jobs = ['a', 'b', 'a'].map(name => ({ url: `${server.url}/${name}`, outputPath: join(outputDir, 'page.md') }));
+    jobs.push({ url: `${server.url}/c`, outputPath: join(outputDir, 'PAGE.md') });
+
+    const { pages } = await exportMany(jobs);
+    const paths = pages.map(page => page.outputPath);
+
+    expect(paths[0]).toBe(jobs[0].outputPath);
+    expect(paths[2]).toBe(paths[0]);
+    expect(paths[1]).toMatch(/page-[0-9a-f]{8}\.md$/);
+    expect(paths[3]).toMatch(/PAGE-[0-9a-f]{8}\.md$/);
+    expect(await readFile(paths[1], 'utf-8')).toContain('Body text of the B page.');
+    expect(await readFile(paths[3], 'utf-8')).toContain('Body text of the C page.');
+  });
+
+  it('should share one browser across rendered pages and PDFs', async () => {
+    const jobs = [
+      { url: `${server.url}/a`, outputPath: join(outputDir, 'a.md'), options: { render: 'browser' } },
+      { url: `${server.url}/b`, outputPath: join(outputDir, 'b.pdf') },
+      { url: `${server.url}/c`, outputPath: join(outputDir, 'c.md'), options: { render: 'browser' } }
+    ];
+
+    const { pages } = await exportMany(jobs, { concurrency: 3 });
+
+    expect(pages.every(page => page.status === 'ok')).toBe(true);
+    expect(pages[0].title).toBe('Rendered');
+    expect(browser.launches).toBe(1);
+    expect(browser.calls.filter(([call]) => call === 'close')).toHaveLength(1);
+  });
+});
+
+describe('Crawling', () => {
+  describe('normalizeUrl', () => {
+    it('should strip fragments and tracking parameters and sort the query', () => {
+      expect(normalizeUrl('HTTPS://Example.com//docs//a?b=2&utm_source=x&a=1#intro'))
+        .toBe('https://example.com/docs/a?a=1&b=2');
+    });
+
+    it('should resolve relative links and reject non-HTTP links', () => {
+      expect(normalizeUrl('../b', 'https://example.com/docs/a/')).toBe('https://example.com/docs/b');
+      expect(normalizeUrl('mailto:me@example.com')).toBeNull();
+      expect(normalizeUrl('javascript:void(0)')).toBeNull();
+    });
+  });
+
+  describe('robots.txt', () => {
+    const robots = parseRobotsTxt([
+      'User-agent: *',
+      'Disallow: /private/',
+      'Allow: /private/public-*',
+      'Disallow: /*.pdf$',
+      '',
+      'User-agent: web-content-llm',
+      'User-agent: other-bot',
+      'Disallow: /drafts/',
+      'Crawl-delay: 2'
+    ].join('\n'));
+
+    it('should pick the most specific user-agent group', () => {
+      expect(robots.crawlDelay).toBe(2);
+      expect(isAllowedByRobots(robots, 'https://example.com/drafts/x')).toBe(false);
+      expect(isAllowedByRobots(robots, 'https://example.com/private/x')).toBe(true);
+    });
+
+    it('should apply the longest matching rule with wildcards', () => {
+      const generic = parseRobotsTxt('User-agent: *\nDisallow: /private/\nAllow: /private/public-*\nDisallow: /*.pdf$', 'some-bot');
+
+      expect(isAllowedByRobots(generic, 'https://example.com/private/secret')).toBe(false);
+      expect(isAllowedByRobots(generic, 'https://example.com/private/public-page')).toBe(true);
+      expect(isAllowedByRobots(generic, 'https://example.com/file.pdf')).toBe(false);
+      expect(isAllowedByRobots(generic, 'https://example.com/file.pdf?x=1')).toBe(true);
+    });
+  });
+
+  describe('crawlSite', () => {
+    let outputDir;
+    let server;
+    const page = (title, links = []) =>
+      `<html><body><nav>${links.map(href => `<a href="${href}">${href}</a>`).join(' ')}</nav>` +
+      `<main><h1>${title}</h1><p>Content of ${title}.</p></main></body></html>`;
+
+    beforeEach(async () => {
+      outputDir = await mkdtemp(join(tmpdir(), 'web-content-llm-crawl-'));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      server = await startFixtureServer({
+        '/robots.txt': { headers: { 'Content-Type': 'text/plain' }, body: 'User-agent: *\nDisallow: /docs/secret' },
+        '/docs/': page('Docs Home', ['/docs/a', 'b#section', '/docs/a?utm_source=nav', '/docs/secret', '/blog/', 'https://other.example/x', '/docs/file.pdf']),
+        '/docs/a': page('Page A', ['/docs/deep/c', '/docs/']),
+        '/docs/b': page('Page B', ['/docs/missing']),
+        '/docs/deep/c': page('Page C', ['/docs/deep/d']),
+        '/docs/deep/d': page('Page D'),
+        '/blog/': page('Blog')
+      });
+      return async () => {
+        vi.restoreAllMocks();
+        await server.close();
+        await rm(outputDir, { recursive: true, force: true });
+      };
+    });
+
+    it('should crawl within the path prefix, respecting depth and robots.txt', async () => {
+      const result = await crawlSite(`${server.url}/docs/`, { outDir: outputDir, scope: 'prefix', maxDepth: 2 });
+      const byStatus = (status) => result.pages.filter(p => p.status === status).map(p => p.url.replace(server.url, ''));
+
+      expect(byStatus('ok')).toEqual(['/docs/', '/docs/a', '/docs/b', '/docs/deep/c']);
+      expect(byStatus('blocked')).toEqual(['/docs/secret']);
+      expect(byStatus('error')).toEqual(['/docs/missing']);
+      expect(server.requests.filter(r => r.url === '/docs/a')).toHaveLength(1);
+      expect(server.requests.some(r => r.url === '/blog/')).toBe(false);
+      // Pages are fetched as the user agent robots.txt was evaluated for
+      expect(new Set(server.requests.map(r => r.headers['user-agent']))).toEqual(new Set(['web-content-llm']));
+    });
+
+    it('should resolve links against redirect targets and check them like links', async () => {
+      Object.assign(server.routes, {
+        '/docs': { status: 301, headers: { Location: '/docs/' } },
+        '/docs/b': page('Page B', ['/docs/old', '/docs/moved', '/docs/again']),
+        '/docs/old': { status: 301, headers: { Location: '/docs/secret-moved' } },
+        '/docs/secret-moved': page('Secret'),
+        '/docs/moved': { status: 302, headers: { Location: '/blog/' } },
+        '/docs/again': { status: 301, headers: { Location: '/docs/a' } }
+      });
+      const result = await crawlSite(`${server.url}/docs`, { outDir: outputDir, scope: 'prefix', maxDepth: 2 });
+      const byStatus = (status) => result.pages.filter(p => p.status === status).map(p => p.url.replace(server.url, ''));
+
+      expect(byStatus('ok')).toEqual(['/docs/', '/docs/a', '/docs/b', '/docs/deep/c']);
+      expect(byStatus('blocked')).toEqual(['/docs/secret', '/docs/secret-moved', '/blog/']);
+      expect(result.pages[0].redirectedFrom).toBe(`${server.url}/docs`);
+      expect(server.requests.filter(r => r.url === '/docs/a')).toHaveLength(2);
+      expect(await readFile(join(outputDir, 'docs', 'index.md'), 'utf-8')).toContain('Content of Docs Home.');
+    });
+
+    it('should give pages mapping to the same file distinct files', async () => {
+      Object.assign(server.routes, {
+        '/docs/': page('Docs Home', ['/docs/guide', '/docs/guide.html', '/docs/Guide']),
+        '/docs/guide': page('Guide'),
+        '/docs/guide.html': page('Old Guide'),
+        '/docs/Guide': page('Upper Guide'),
+        '/': page('Home', ['/_index']),
+        '/_index': page('Underscore')
+      });
+      const result = await crawlSite(`${server.url}/docs/`, { outDir: outputDir, scope: 'prefix', maxDepth: 1 });
+      const paths = result.pages.map(p => relative(outputDir, p.outputPath).split(sep).join('/'));
+
+      expect(paths[1]).toBe('docs/guide.md');
+      expect(paths.slice(2)).toEqual([
+        expect.stringMatching(/^docs\/guide-[0-9a-f]{8}\.md$/),
+        expect.stringMatching(/^docs\/Guide-[0-9a-f]{8}\.md$/)
+      ]);
+      for (const { title, outputPath } of result.pages) {
+        expect(await readFile(outputPath, 'utf-8')).toContain(`Content of ${title}.`);
+      }
+      const index = await readFile(result.indexPath, 'utf-8');
+      expect(index).toContain(`[Old Guide](${paths[2]})`);
+
+      // The crawl index keeps its name
+      const site = await crawlSite(`${server.url}/`, { outDir: join(outputDir, 'site'), maxDepth: 1 });
+      expect(site.pages[1].outputPath).toMatch(/_index-[0-9a-f]{8}\.md$/);
+      expect(await readFile(site.indexPath, 'utf-8')).toContain('# Crawl of');
+    });
+
+    it('should write one export per page and an index file', async () => {
+      await crawlSite(`${server.url}/docs/`, { outDir: outputDir, scope: 'prefix', maxDepth: 1 });
+
+      expect((await readdir(join(outputDir, 'docs'))).sort()).toEqual(['a.md', 'b.md', 'index.md']);
+      expect(await readFile(join(outputDir, 'docs', 'a.md'), 'utf-8')).toContain('Content of Page A.');
+
+      const index = await readFile(join(outputDir, '_index.md'), 'utf-8');
+      expect(index).toContain(`- [Page A](docs/a.md) — ${server.url}/docs/a`);
+      expect(index).not.toContain('## Failed');
+    });
+
+    it('should honour include/exclude globs and maxPages', async () => {
+      const result = await crawlSite(`${server.url}/docs/`, {
+        outDir: outputDir,
+        exclude: ['/docs/b'],
+        include: ['/docs/**'],
+        maxDepth: 5,
+        maxPages: 3,
+        format: 'text'
+      });
+
+      expect(result.pages.filter(p => p.status !== 'blocked').map(p => p.url.replace(server.url, '')))
+        .toEqual(['/docs/', '/docs/a', '/docs/deep/c']);
+      expect(await readdir(join(outputDir, 'docs'))).toContain('a.txt');
+    });
+
+    it('should strip boilerplate shared by the crawled pages', async () => {
+      for (const path of ['/docs/', '/docs/a', '/docs/b']) {
+        server.routes[path] = server.routes[path].replace('</main>', '<p>Follow us on social media for news and updates.</p></main>');
+      }
+      const result = await crawlSite(`${server.url}/docs/`, { outDir: outputDir, scope: 'prefix', maxDepth: 1, removeBoilerplate: true });
+
+      expect(result.boilerplate).toEqual([
+        { type: 'paragraph', text: 'Follow us on social media for news and updates.', pages: 3, share: 1 }
+      ]);
+      expect(result.pages.filter(p => p.status === 'ok').map(p => p.boilerplate)).toEqual([1, 1, 1]);
+
+      const markdown = await readFile(join(outputDir, 'docs', 'a.md'), 'utf-8');
+      expect(markdown).toContain('Content of Page A.');
+      expect(markdown).not.toContain('Follow us');
+      expect(await readFile(join(outputDir, '_index.md'), 'utf-8'))
+        .toContain('## Removed boilerplate\n\n- Follow us on social media for news and updates. (paragraph, 100%)');
+    });
+
+    it('should wait for the robots.txt crawl delay between requests', async () => {
+      server.routes['/robots.txt'] = { headers: { 'Content-Type': 'text/plain' }, body: 'User-agent: *\nCrawl-delay: 0.2' };
+      await crawlSite(`${server.url}/docs/deep/d`, { outDir: outputDir });
+      await crawlSite(`${server.url}/docs/deep/c`, { outDir: outputDir, maxDepth: 1 });
+
+      const pageRequests = server.requests.filter(r => r.url === '/docs/deep/c' || r.url === '/docs/deep/d').slice(-2);
+      expect(pageRequests[1].time - pageRequests[0].time).toBeGreaterThanOrEqual(190);
+    });
+  });
+});
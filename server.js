@@ -0,0 +1,301 @@
+import { createServer as createHttpServer } from 'http';
+import { readFile } from 'fs/promises';
+import {
+  scrapeContent,
+  extractFromHTML,
+  generateMarkdown,
+  generatePlainText,
+  generateJSON,
+  generateJSONL,
+  generateHTML,
+  streamPDFFromHTML,
+  createLimiter,
+  isNetworkError
+} from './index.js';
+
+// ============================================
+// Errors
+// ============================================
+
+// Errors that map to a specific HTTP response. The body is always
+// { "error": { "code": "...", "message": "..." } }.
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const toHttpError = (error) => {
+  if (error instanceof HttpError) return error;
+  if (isNetworkError(error)) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    return new HttpError(502, 'fetch_failed', `Page could not be fetched: ${reason}`);
+  }
+  return new HttpError(500, 'internal_error', error.message);
+};
+
+// ============================================
+// Helpers
+// ============================================
+
+const DEFAULTS = {
+  maxBodySize: 1024 * 1024,   // bytes
+  requestTimeout: 60000,      // ms per request
+  browserConcurrency: 2       // simultaneous Puppeteer sessions
+};
+
+const TEXT_FORMATS = {
+  markdown: { generate: generateMarkdown, type: 'text/markdown; charset=utf-8' },
+  md: { generate: generateMarkdown, type: 'text/markdown; charset=utf-8' },
+  text: { generate: generatePlainText, type: 'text/plain; charset=utf-8' },
+  txt: { generate: generatePlainText, type: 'text/plain; charset=utf-8' },
+  json: { generate: generateJSON, type: 'application/json; charset=utf-8' },
+  jsonl: { generate: generateJSONL, type: 'application/x-ndjson; charset=utf-8' },
+  html: { generate: generateHTML, type: 'text/html; charset=utf-8' }
+};
+
+// Options a client may set per request. Everything else (launchOptions, ...)
+// is only configurable when the server is created.
+const REQUEST_OPTIONS = [
+  'footerText', 'frontmatter', 'linkStyle', 'locale', 'labels', 'render', 'waitForSelector', 'scroll',
+  'contentMode', 'dedupe', 'duplicateThreshold', 'minContentLength', 'pageFormat', 'margin'
+];
+
+const pickRequestOptions = (options = {}) =>
+  Object.fromEntries(REQUEST_OPTIONS.filter(name => options[name] !== undefined).map(name => [name, options[name]]));
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new HttpError(504, 'timeout', `Request did not finish within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const readBody = (req, maxBodySize) => new Promise((resolve, reject) => {
+  const tooLarge = () => new HttpError(413, 'payload_too_large', `Request body exceeds ${maxBodySize} bytes`);
+  if (Number(req.headers['content-length']) > maxBodySize) return reject(tooLarge());
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBodySize) {
+      req.removeAllListeners('data');
+      req.resume();
+      return reject(tooLarge());
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Accepts a JSON body { url, html, baseUrl, format, options } or a raw
+// text/html body with url/baseUrl/format in the query string. Raw HTML stays
+// bytes so its charset is detected like for fetched pages.
+const parseRequest = async (req, query, maxBodySize) => {
+  const body = await readBody(req, maxBodySize);
+  const contentType = req.headers['content-type'] || '';
+
+  if (contentType.split(';')[0].trim() === 'text/html') {
+    return {
+      html: body,
+      url: query.get('url') || query.get('baseUrl') || undefined,
+      format: query.get('format') || undefined,
+      options: { contentType }
+    };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf-8') || '{}');
+  } catch {
+    throw new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new HttpError(400, 'invalid_request', 'Request body must be a JSON object');
+  }
+
+  return {
+    html: payload.html,
+    url: payload.url || payload.baseUrl,
+    format: payload.format,
+    options: payload.options || {}
+  };
+};
+
+const validateRequest = ({ url, html }) => {
+  if (html !== undefined && typeof html !== 'string' && !Buffer.isBuffer(html)) {
+    throw new HttpError(400, 'invalid_request', '"html" must be a string');
+  }
+  if (html === undefined && !url) {
+    throw new HttpError(400, 'invalid_request', 'Provide "url" or "html"');
+  }
+  if (url !== undefined) {
+    let protocol;
+    try {
+      protocol = new URL(url).protocol;
+    } catch {
+      throw new HttpError(400, 'invalid_url', `Invalid URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(protocol)) {
+      throw new HttpError(400, 'invalid_url', 'Only http and https URLs are supported');
+    }
+  }
+};
+
+const toJSONResponse = (data, status = 200) => ({
+  status,
+  headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  body: JSON.stringify(data)
+});
+
+// A response either has a body or a pipe(res) function that streams it and
+// resolves once it is written. Streamed headers only go out with the first
+// chunk, so failures before it still get an error response.
+const send = async (res, { status = 200, headers, body, pipe }) => {
+  if (pipe) {
+    res.statusCode = status;
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    return pipe(res);
+  }
+  res.writeHead(status, headers);
+  res.end(body);
+};
+
+const sendError = (res, error) => {
+  if (res.headersSent) return res.destroy();
+  // Close the connection so an oversized body is not read any further
+  if (error.status === 413) res.setHeader('Connection', 'close');
+  send(res, toJSONResponse({ error: { code: error.code, message: error.message } }, error.status));
+};
+
+// ============================================
+// Server
+// ============================================
+
+// Create (but don't start) the extraction service. Routes:
+//   GET  /health   status and Puppeteer usage
+//   POST /extract  Markdown, text, JSON, JSONL or HTML of a URL or raw HTML
+//   POST /pdf      PDF of a URL or raw HTML
+// options: maxBodySize, requestTimeout (also accepted under its original name
+// `timeout`), browserConcurrency and default library options (e.g.
+// launchOptions) applied to every request.
+const createServer = (options = {}) => {
+  const {
+    maxBodySize = DEFAULTS.maxBodySize,
+    timeout,
+    requestTimeout = timeout ?? DEFAULTS.requestTimeout,
+    browserConcurrency = DEFAULTS.browserConcurrency,
+    ...defaults
+  } = options;
+  const browserLimiter = createLimiter(browserConcurrency);
+  const startedAt = Date.now();
+
+  // Browser-backed work goes through the limiter so that a burst of
+  // requests can't start an unbounded number of Chromium processes. Work of
+  // requests that timed out or were closed is dropped from its queue.
+  const extract = async ({ url, html, options: requestOptions }, signal) => {
+    const scrapeOptions = { ...defaults, ...pickRequestOptions(requestOptions) };
+    if (html !== undefined) {
+      return extractFromHTML(html, { ...scrapeOptions, baseUrl: url, contentType: requestOptions.contentType });
+    }
+
+    const task = () => scrapeContent(url, scrapeOptions);
+    return ['browser', 'auto'].includes(scrapeOptions.render) ? browserLimiter.run(task, { signal }) : task();
+  };
+
+  const extractOrFail = async (request, signal) => {
+    const content = await extract(request, signal);
+    if (!content.sections.length) {
+      throw new HttpError(422, 'no_content', 'No content could be extracted');
+    }
+    return content;
+  };
+
+  const handleExtract = async (request, signal) => {
+    const format = TEXT_FORMATS[request.format || 'markdown'];
+    if (!format) {
+      throw new HttpError(400, 'invalid_format', 'format must be markdown, text, json, jsonl or html');
+    }
+    const content = await extractOrFail(request, signal);
+    const output = format.generate(content, { ...defaults, ...pickRequestOptions(request.options) });
+    return { headers: { 'Content-Type': format.type }, body: output };
+  };
+
+  // The PDF is streamed to the client while Chromium prints it. Errors
+  // before the first bytes (launch failures, timeouts while queued) get an
+  // error response, later ones can only abort it.
+  const handlePDF = async (request, signal) => {
+    const content = await extractOrFail(request, signal);
+    const pdfOptions = { ...defaults, ...pickRequestOptions(request.options), signal };
+    const html = generateHTML(content, pdfOptions);
+
+    return {
+      headers: { 'Content-Type': 'application/pdf' },
+      pipe: (res) => browserLimiter.run(() => streamPDFFromHTML(html, res, pdfOptions), { signal })
+    };
+  };
+
+  const handleHealth = async () => {
+    const version = JSON.parse(await readFile(new URL('./package.json', import.meta.url), 'utf-8')).version;
+    return toJSONResponse({
+      status: 'ok',
+      version,
+      uptime: Math.round((Date.now() - startedAt) / 1000),
+      browser: { concurrency: browserConcurrency, ...browserLimiter.stats() }
+    });
+  };
+
+  const routes = {
+    '/health': { GET: handleHealth },
+    '/extract': { POST: handleExtract },
+    '/pdf': { POST: handlePDF }
+  };
+
+  return createHttpServer(async (req, res) => {
+    // Aborted when the request fails, times out or the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      const route = routes[pathname];
+      if (!route) throw new HttpError(404, 'not_found', `No route for ${pathname}`);
+
+      const handler = route[req.method];
+      if (!handler) {
+        res.setHeader('Allow', Object.keys(route).join(', '));
+        throw new HttpError(405, 'method_not_allowed', `${req.method} is not allowed on ${pathname}`);
+      }
+
+      if (req.method === 'GET') return await send(res, await handler());
+
+      const request = await parseRequest(req, searchParams, maxBodySize);
+      validateRequest(request);
+      // Work still running after the timeout is aborted and its result discarded
+      await withTimeout(
+        handler(request, controller.signal).then(response => send(res, response)),
+        requestTimeout
+      );
+    } catch (error) {
+      controller.abort();
+      sendError(res, toHttpError(error));
+    }
+  });
+};
+
+// Create the service and listen on port/host; resolves with the server
+const startServer = async ({ port = 3000, host = '127.0.0.1', ...options } = {}) => {
+  const server = createServer(options);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+};
+
+export { createServer, startServer, HttpError };
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createServer } from './server.js';
+import { startFixtureServer } from './test/fixture-server.js';
+
+const browser = vi.hoisted(() => ({ active: 0, maxActive: 0, launches: 0, launchError: null, printTime: 20 }));
+
+vi.mock('puppeteer', () => ({
+  default: {
+    launch: async () => {
+      browser.launches++;
+      if (browser.launchError) throw browser.launchError;
+      browser.active++;
+      browser.maxActive = Math.max(browser.maxActive, browser.active);
+      return {
+        newPage: async () => ({
+          setContent: async () => {},
+          createPDFStream: async () => {
+            await new Promise(resolve => setTimeout(resolve, browser.printTime));
+            return new ReadableStream({
+              start: (controller) => {
+                controller.enqueue(Buffer.from('%PDF-1.4 '));
+                controller.enqueue(Buffer.from('fake'));
+                controller.close();
+              }
+            });
+          }
+        }),
+        close: async () => { browser.active--; }
+      };
+    }
+  }
+}));
+
+const ARTICLE = '<html><body><main><h1>Article</h1><p>Read the <a href="/docs">docs</a> for details.</p></main></body></html>';
+
+describe('HTTP Server', () => {
+  let fixtures;
+  let service;
+  let baseUrl;
+
+  const listen = async (options) => {
+    service = createServer(options);
+    await new Promise(resolve => service.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${service.address().port}`;
+  };
+
+  const post = (path, body, headers = { 'Content-Type': 'application/json' }) =>
+    fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+  beforeEach(async () => {
+    Object.assign(browser, { maxActive: 0, launches: 0, launchError: null, printTime: 20 });
+    fixtures = await startFixtureServer({
+      '/article': ARTICLE,
+      '/empty': '<html><body></body></html>',
+      '/slow': (req, res) => setTimeout(() => res.end(ARTICLE), 300)
+    });
+    return async () => {
+      service.closeAllConnections();
+      await new Promise(resolve => service.close(resolve));
+      await fixtures.close();
+    };
+  });
+
+  it('should report health', async () => {
+    await listen({ browserConcurrency: 3 });
+    const response = await fetch(`${baseUrl}/health`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ status: 'ok', browser: { concurrency: 3, active: 0, queued: 0 } });
+  });
+
+  it('should extract a URL in the requested format', async () => {
+    await listen();
+
+    const markdown = await post('/extract', { url: `${fixtures.url}/article` });
+    expect(markdown.headers.get('content-type')).toBe('text/markdown; charset=utf-8');
+    expect(await markdown.text()).toContain(`Read the [docs](${fixtures.url}/docs) for details.`);
+
+    const json = await post('/extract', { url: `${fixtures.url}/article`, format: 'json' });
+    expect(json.headers.get('content-type')).toBe('application/json; charset=utf-8');
+    expect((await json.json()).sections[0]).toEqual({ type: 'h1', content: 'Article' });
+
+    const html = await post('/extract', { url: `${fixtures.url}/article`, format: 'html' });
+    expect(html.headers.get('content-type')).toBe('text/html; charset=utf-8');
+    expect(await html.text()).toContain('<h1>Article</h1>');
+  });
+
+  it('should extract raw HTML against a base URL without fetching', async () => {
+    await listen();
+
+    const fromJson = await post('/extract', { html: ARTICLE, baseUrl: 'https://example.com/guide/', format: 'text' });
+    expect(await fromJson.text()).toContain('Read the docs (https://example.com/docs) for details.');
+
+    const fromHtml = await post('/extract?format=jsonl&url=https://example.com/', ARTICLE, { 'Content-Type': 'text/html' });
+    const records = (await fromHtml.text()).trim().split('\n').map(line => JSON.parse(line));
+    expect(records[1]).toMatchObject({ url: 'https://example.com/', headingPath: ['Article'] });
+    expect(fixtures.requests).toHaveLength(0);
+  });
+
+  it('should return structured errors', async () => {
+    await listen({ maxBodySize: 1000 });
+
+    const expectError = async (response, status, code) => {
+      expect(response.status).toBe(status);
+      expect((await response.json()).error).toMatchObject({ code, message: expect.any(String) });
+    };
+
+    await expectError(await fetch(`${baseUrl}/nope`), 404, 'not_found');
+    await expectError(await fetch(`${baseUrl}/extract`), 405, 'method_not_allowed');
+    await expectError(await post('/extract', '{oops'), 400, 'invalid_json');
+    await expectError(await post('/extract', {}), 400, 'invalid_request');
+    await expectError(await post('/extract', { url: 'file:///etc/passwd' }), 400, 'invalid_url');
+    await expectError(await post('/extract', { html: ARTICLE, format: 'docx' }), 400, 'invalid_format');
+    await expectError(await post('/extract', { html: 'x'.repeat(2000) }), 413, 'payload_too_large');
+    await expectError(await post('/extract', { url: `${fixtures.url}/missing` }), 502, 'fetch_failed');
+    await expectError(await post('/extract', { url: `${fixtures.url}/empty` }), 422, 'no_content');
+  });
+
+  it('should time out slow requests', async () => {
+    await listen({ requestTimeout: 100 });
+    const response = await post('/extract', { url: `${fixtures.url}/slow` });
+
+    expect(response.status).toBe(504);
+    expect((await response.json()).error.code).toBe('timeout');
+  });
+
+  it('should accept the request timeout under its original name', async () => {
+    await listen({ timeout: 100 });
+    const response = await post('/extract', { url: `${fixtures.url}/slow` });
+
+    expect(response.status).toBe(504);
+  });
+
+  it('should stream PDFs while limiting concurrent browsers', async () => {
+    await listen({ browserConcurrency: 1 });
+
+    const responses = await Promise.all([1, 2, 3].map(() => post('/pdf', { html: ARTICLE })));
+
+    for (const response of responses) {
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toBe('application/pdf');
+      expect(response.headers.get('transfer-encoding')).toBe('chunked');
+      expect(await response.text()).toBe('%PDF-1.4 fake');
+    }
+    expect(browser.maxActive).toBe(1);
+  });
+
+  it('should answer PDF failures before the first byte with an error', async () => {
+    await listen();
+    browser.launchError = new Error('Failed to launch the browser process');
+    const response = await post('/pdf', { html: ARTICLE });
+
+    expect(response.status).toBe(500);
+    expect((await response.json()).error).toMatchObject({ code: 'internal_error', message: 'Failed to launch the browser process' });
+  });
+
+  it('should drop queued PDFs once their request timed out', async () => {
+    await listen({ browserConcurrency: 1, requestTimeout: 100 });
+    browser.printTime = 150;
+
+    const responses = await Promise.all([1, 2].map(() => post('/pdf', { html: ARTICLE })));
+    for (const response of responses) {
+      expect(response.status).toBe(504);
+      expect((await response.json()).error.code).toBe('timeout');
+    }
+
+    // The running print is aborted and closes its browser; the queued one never starts
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(browser.launches).toBe(1);
+    expect(browser.active).toBe(0);
+  });
+});
@@ -0,0 +1,37 @@
+import { createServer } from 'http';
+
+// Local HTTP server for tests. Routes map a path (including the query
+// string) to an HTML string, { status, headers, body } or a request handler.
+// Every request is recorded in `requests` as { url, headers, time }.
+export const startFixtureServer = async (routes = {}) => {
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers, time: Date.now() });
+    const route = routes[req.url];
+
+    if (typeof route === 'function') return route(req, res);
+    if (route === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+
+    const { status = 200, headers = {}, body = '' } = typeof route === 'string' ? { body: route } : route;
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    routes,
+    // Also drop in-flight requests so slow routes don't delay the test run
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+};